@@ -3,7 +3,18 @@
  * Activity-based tracking - only counts time when user is actively interacting
  */
 
-const API_BASE_URL = 'http://localhost:5000/api';
+import { getSearchTerms } from './shared/searchTerms.js';
+
+// Backend URL - kept in sync with the settings screen (src/services/settings.js)
+const SETTINGS_KEY = 'saleshub_settings';
+const DEFAULT_API_BASE_URL = 'http://localhost:5000/api';
+const SIDE_PANEL_PATH = 'index.html?surface=sidepanel'; // Same app, laid out for the panel's height
+let cachedApiBaseUrl = null;
+
+// Auth tokens - written by the popup on sign-in (src/services/auth.js)
+const AUTH_KEY = 'saleshub_auth';
+const ACCESS_TOKEN_KEY = 'saleshub_access_token';
+let authRefreshPromise = null;
 
 // ==================== State Management ====================
 let currentVisit = null;
@@ -18,8 +29,32 @@ let lastActivityTime = 0;        // Last time user was active (from content scri
 let lastHeartbeatTime = 0;       // Last heartbeat timestamp
 let isUserActive = false;        // Whether user is currently active
 
-// HubSpot context state
-let currentHubSpotDealId = null; // Current HubSpot deal ID from content script
+// HubSpot context state - open record per tab, mirrored to chrome.storage.session
+// so it survives service worker restarts
+const HUBSPOT_RECORDS_KEY = 'hubspotRecordsByTab';
+const HUBSPOT_CONTEXT_PORT = 'hubspot-context';
+let hubSpotRecordsByTab = null;  // { [tabId]: { record: { objectType, recordId, portalId }, url, updatedAt } }
+const hubSpotContextPorts = new Map(); // Open popups/side panels listening for record changes -> their window ID
+
+// Chat turns - replies are fetched here so closing the popup doesn't lose them
+const CHAT_TURNS_KEY = 'chatTurns';
+const CHAT_TURNS_PORT = 'chat-turns';
+const CHAT_DB_NAME = 'saleshub'; // Schema owned by src/services/chatRepository.js
+let chatTurns = null;                  // { [turnId]: { turnId, chatId, status, text, message, error, ... } }
+const chatTurnControllers = new Map(); // turnId -> AbortController for in-flight requests
+const chatTurnPorts = new Set();       // Open popups/side panels showing chat
+let chatStreamUnavailable = false;     // Backend has no /chat/stream endpoint
+
+// Context menu on selected text - the chosen action waits in chrome.storage.session
+// until the popup/side panel sends it (src/services/contextActions.js)
+const PENDING_CHAT_ACTION_KEY = 'pendingChatAction';
+const CONTEXT_MENU_ACTIONS = [
+    { id: 'saleshub-reply', intent: 'reply', title: 'Reply to this with SalesHub' },
+    { id: 'saleshub-objection', intent: 'objection', title: 'Handle this objection' },
+    { id: 'saleshub-summarize', intent: 'summarize', title: 'Summarize' },
+    { id: 'saleshub-rewrite', intent: 'rewrite', title: 'Rewrite more concisely' }
+];
+const SELECTION_MAX_LENGTH = 6000;     // Same cap as MAX_TEXT_LENGTH in content-page-context.js
 
 // Configuration
 const DEDUP_WINDOW_MS = 5000;      // 5 seconds - longer window for slow sites
@@ -27,6 +62,17 @@ const DEBOUNCE_DELAY_MS = 1000;   // 1 second - wait for page to stabilize
 const IDLE_THRESHOLD_MS = 60000;  // 60 seconds - consider idle after this
 const SYSTEM_IDLE_SECONDS = 60;   // Chrome idle API threshold
 
+// Offline queue configuration
+const QUEUE_STORAGE_KEY = 'trackingQueue';
+const VISIT_ID_MAP_KEY = 'visitIdMap';
+const QUEUE_MAX_SIZE = 500;               // Drop oldest entries beyond this
+const QUEUE_BATCH_SIZE = 20;              // Entries sent per flush pass
+const QUEUE_BASE_BACKOFF_MS = 15000;      // 15 seconds after first failure
+const QUEUE_MAX_BACKOFF_MS = 30 * 60000;  // Never wait more than 30 minutes
+const QUEUE_MAX_ATTEMPTS = 10;            // Drop an entry the backend keeps failing on
+const VISIT_ID_MAP_TTL_MS = 48 * 3600000; // Forget local→server mappings after 2 days
+const LOCAL_VISIT_PREFIX = 'local_';
+
 // ==================== Persistence ====================
 async function persistVisitData() {
     if (currentVisit) {
@@ -57,7 +103,13 @@ async function loadPersistedVisitData() {
 }
 
 // ==================== User ID Management ====================
+// Signed-in account ID, or the anonymous per-install ID before sign-in
 async function getUserId() {
+    const data = await chrome.storage.local.get([AUTH_KEY]);
+    if (data[AUTH_KEY]?.user?.user_id) {
+        return data[AUTH_KEY].user.user_id;
+    }
+
     if (cachedUserId) {
         return cachedUserId;
     }
@@ -78,6 +130,658 @@ async function getUserId() {
     });
 }
 
+// A restored backup brings back its own user ID
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.extension_user_id) {
+        cachedUserId = changes.extension_user_id.newValue || null;
+        console.log('[Tracking] User ID changed:', cachedUserId);
+    }
+});
+
+// ==================== Settings ====================
+function resolveApiBaseUrl(settings) {
+    const profile = settings?.profiles?.[settings.activeProfile];
+    return profile?.apiBaseUrl || DEFAULT_API_BASE_URL;
+}
+
+async function getApiBaseUrl() {
+    if (cachedApiBaseUrl) {
+        return cachedApiBaseUrl;
+    }
+    const data = await chrome.storage.local.get([SETTINGS_KEY]);
+    cachedApiBaseUrl = resolveApiBaseUrl(data[SETTINGS_KEY]);
+    return cachedApiBaseUrl;
+}
+
+/**
+ * Make the toolbar icon open the popup or the side panel (Settings > Open SalesHub in)
+ */
+async function applyUiSurface(settings) {
+    if (!chrome.sidePanel) return;
+    const useSidePanel = settings?.preferences?.uiSurface === 'sidepanel';
+    try {
+        await chrome.sidePanel.setOptions({ path: SIDE_PANEL_PATH, enabled: true });
+        await chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: useSidePanel });
+        await chrome.action.setPopup({ popup: useSidePanel ? '' : 'index.html' });
+    } catch (error) {
+        console.error('[Tracking] Error applying UI surface:', error.message);
+    }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SETTINGS_KEY]) {
+        applyUiSurface(changes[SETTINGS_KEY].newValue);
+        cachedApiBaseUrl = resolveApiBaseUrl(changes[SETTINGS_KEY].newValue);
+        console.log('[Tracking] ⚙️ API base URL changed:', cachedApiBaseUrl);
+        // A different backend may be reachable even if the old one was not
+        queueBackoffUntil = 0;
+        flushTrackingQueue();
+    }
+});
+
+// ==================== Authentication ====================
+async function getAccessToken() {
+    const session = await chrome.storage.session.get([ACCESS_TOKEN_KEY]);
+    if (session[ACCESS_TOKEN_KEY]) {
+        return session[ACCESS_TOKEN_KEY];
+    }
+    // Session storage is cleared on browser restart - mint a new token if signed in
+    const { accessToken } = await refreshAccessToken();
+    return accessToken;
+}
+
+/**
+ * Exchange the refresh token for a new access token. Every extension context
+ * refreshes through here (AUTH_REFRESH) so a rotating refresh token is used once.
+ * @returns {Promise<{accessToken: string|null, rejected: boolean}>}
+ */
+function refreshAccessToken() {
+    if (!authRefreshPromise) {
+        authRefreshPromise = (async () => {
+            const data = await chrome.storage.local.get([AUTH_KEY]);
+            const auth = data[AUTH_KEY];
+            if (!auth?.refreshToken) {
+                return { accessToken: null, rejected: true };
+            }
+
+            try {
+                const apiBaseUrl = await getApiBaseUrl();
+                const response = await fetch(`${apiBaseUrl}/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refresh_token: auth.refreshToken })
+                });
+
+                if (!response.ok) {
+                    console.error('[Auth] ❌ Token refresh rejected:', response.status);
+                    const rejected = response.status === 400 || response.status === 401 || response.status === 403;
+                    if (rejected) {
+                        await chrome.storage.session.remove(ACCESS_TOKEN_KEY);
+                        await chrome.storage.local.remove(AUTH_KEY);
+                    }
+                    return { accessToken: null, rejected };
+                }
+
+                const result = await response.json();
+                await chrome.storage.session.set({ [ACCESS_TOKEN_KEY]: result.access_token });
+                await chrome.storage.local.set({
+                    [AUTH_KEY]: {
+                        refreshToken: result.refresh_token || auth.refreshToken,
+                        user: result.user || auth.user
+                    }
+                });
+                console.log('[Auth] 🔑 Access token refreshed');
+                return { accessToken: result.access_token, rejected: false };
+            } catch (error) {
+                console.error('[Auth] Token refresh network error:', error.message);
+                return { accessToken: null, rejected: false };
+            }
+        })().finally(() => {
+            authRefreshPromise = null;
+        });
+    }
+    return authRefreshPromise;
+}
+
+/**
+ * fetch() with the bearer token; refreshes once and retries on 401
+ */
+async function authFetch(url, options = {}) {
+    const withToken = (token) => ({
+        ...options,
+        headers: {
+            ...options.headers,
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        }
+    });
+
+    const token = await getAccessToken();
+    const response = await fetch(url, withToken(token));
+    if (response.status !== 401 || !token) {
+        return response;
+    }
+
+    const { accessToken } = await refreshAccessToken();
+    return accessToken ? fetch(url, withToken(accessToken)) : response;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    // Replay calls that were held back while signed out
+    if (areaName === 'local' && changes[AUTH_KEY]?.newValue?.user) {
+        queueBackoffUntil = 0;
+        flushTrackingQueue();
+    }
+});
+
+// ==================== HubSpot Context ====================
+async function loadHubSpotRecords() {
+    if (!hubSpotRecordsByTab) {
+        const data = await chrome.storage.session.get([HUBSPOT_RECORDS_KEY]);
+        hubSpotRecordsByTab = data[HUBSPOT_RECORDS_KEY] || {};
+    }
+    return hubSpotRecordsByTab;
+}
+
+async function setHubSpotRecordForTab(tabId, record, url) {
+    const records = await loadHubSpotRecords();
+    if (record) {
+        records[tabId] = { record, url, updatedAt: Date.now() };
+    } else {
+        delete records[tabId];
+    }
+    await chrome.storage.session.set({ [HUBSPOT_RECORDS_KEY]: records });
+}
+
+/**
+ * Record open in the active tab of a window - the side panel's own window,
+ * or the focused window (what the rep is looking at) when not given
+ */
+async function getActiveTabHubSpotRecord(windowId = null) {
+    const query = windowId ? { active: true, windowId } : { active: true, lastFocusedWindow: true };
+    const [tab] = await chrome.tabs.query(query);
+    if (!tab) return { tabId: null, record: null };
+    const records = await loadHubSpotRecords();
+    return { tabId: tab.id, record: records[tab.id]?.record || null };
+}
+
+/**
+ * Push the active tab's record to every connected popup/side panel
+ */
+function broadcastActiveHubSpotRecord() {
+    hubSpotContextPorts.forEach((windowId, port) => sendActiveHubSpotRecord(port, windowId));
+}
+
+function sendActiveHubSpotRecord(port, windowId) {
+    getActiveTabHubSpotRecord(windowId)
+        .then(({ tabId, record }) => port.postMessage({ type: 'HUBSPOT_RECORD_CHANGED', tabId, record }))
+        .catch(error => console.error('[Tracking] Error sending HubSpot record:', error.message));
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== HUBSPOT_CONTEXT_PORT) return;
+    hubSpotContextPorts.set(port, null);
+    port.onDisconnect.addListener(() => hubSpotContextPorts.delete(port));
+
+    // A side panel follows the tabs of the window it is docked in
+    port.onMessage.addListener((message) => {
+        if (message.type === 'WATCH_WINDOW' && hubSpotContextPorts.has(port)) {
+            hubSpotContextPorts.set(port, message.windowId);
+            sendActiveHubSpotRecord(port, message.windowId);
+        }
+    });
+
+    // Send the current state straight away
+    sendActiveHubSpotRecord(port, null);
+});
+
+// The rep looking at a different tab or window changes the active record too
+chrome.tabs.onActivated.addListener(() => broadcastActiveHubSpotRecord());
+chrome.windows.onFocusChanged.addListener((windowId) => {
+    if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+        broadcastActiveHubSpotRecord();
+    }
+});
+
+/**
+ * Whether a URL still shows a stored record (/contacts/<portalId>/record/<objectTypeId>/<recordId>)
+ */
+function isRecordUrl(url, record) {
+    const pattern = new RegExp(`/record/[^/]+/${record.recordId}(?:[/?#]|$)`);
+    return pattern.test(url || '');
+}
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    const records = await loadHubSpotRecords();
+    if (records[tabId]) {
+        await setHubSpotRecordForTab(tabId, null);
+        console.log('[Tracking] 📊 HubSpot record cleared for closed tab:', tabId);
+        broadcastActiveHubSpotRecord();
+    }
+});
+
+// Navigating away from the record (leaving HubSpot, or to a list or dashboard) drops it;
+// the content script reports the next record, if any, once the page is up
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+    if (!changeInfo.url) return;
+    const records = await loadHubSpotRecords();
+    if (records[tabId] && !isRecordUrl(changeInfo.url, records[tabId].record)) {
+        await setHubSpotRecordForTab(tabId, null);
+        broadcastActiveHubSpotRecord();
+    }
+});
+
+// ==================== Chat Turns ====================
+async function loadChatTurns() {
+    if (!chatTurns) {
+        const data = await chrome.storage.session.get([CHAT_TURNS_KEY]);
+        chatTurns = data[CHAT_TURNS_KEY] || {};
+        // Requests don't survive a service worker restart
+        Object.values(chatTurns).forEach(turn => {
+            if (turn.status === 'pending' || turn.status === 'streaming') {
+                turn.status = 'error';
+                turn.error = 'The reply was interrupted. Please try again.';
+            }
+        });
+    }
+    return chatTurns;
+}
+
+async function saveChatTurns() {
+    await chrome.storage.session.set({ [CHAT_TURNS_KEY]: chatTurns });
+}
+
+/**
+ * Update a turn and push it to every open chat view; storage is only
+ * written on status changes, not for every streamed token
+ */
+async function updateChatTurn(turnId, changes, { persist = true } = {}) {
+    const turns = await loadChatTurns();
+    if (!turns[turnId]) return;
+    turns[turnId] = { ...turns[turnId], ...changes, updatedAt: Date.now() };
+    chatTurnPorts.forEach(port => port.postMessage({ type: 'CHAT_TURN_UPDATE', turn: turns[turnId] }));
+    if (persist) {
+        await saveChatTurns();
+    }
+}
+
+async function removeChatTurn(turnId) {
+    const turns = await loadChatTurns();
+    delete turns[turnId];
+    await saveChatTurns();
+}
+
+/**
+ * Open the chat database without creating it; only the UI runs schema migrations
+ */
+function openChatDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(CHAT_DB_NAME);
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Append an assistant message to a chat, with the same message and chat record
+ * updates (deal link, updatedAt) as chatRepository.addMessage
+ * @returns {Promise<boolean>} false if the chat no longer exists
+ */
+async function persistChatMessage(chatId, message, dealId, dealName) {
+    const db = await openChatDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['chats', 'messages'], 'readwrite');
+            const chats = transaction.objectStore('chats');
+            let saved = false;
+
+            chats.get(chatId).onsuccess = (event) => {
+                const chat = event.target.result;
+                if (!chat) return;
+                transaction.objectStore('messages').add({ ...message, chatId, terms: getSearchTerms(message.message), ...(dealId && { dealId }) });
+                chats.put({
+                    ...chat,
+                    ...(dealId && { dealId }),
+                    ...(dealId && dealName && { dealName }),
+                    updatedAt: new Date().toISOString()
+                });
+                saved = true;
+            };
+            transaction.oncomplete = () => resolve(saved);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Read a /chat/stream response. Server-sent events carry JSON frames such as
+ * {"token": "..."} and a final {"done": true, "message_id": ...}; a plain chunked
+ * text body is treated as raw tokens.
+ * @returns {Promise<{text: string, done: object|null}>}
+ */
+async function readChatStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const isEventStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+    let text = '';
+    let done = null;
+    let buffer = '';
+
+    const emit = (token) => {
+        if (!token) return;
+        text += token;
+        onToken(text);
+    };
+
+    const handleEvent = (rawEvent) => {
+        const data = rawEvent
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n');
+        if (!data) return;
+        if (data === '[DONE]') {
+            done = done || {};
+            return;
+        }
+
+        let frame;
+        try {
+            frame = JSON.parse(data);
+        } catch {
+            emit(data);
+            return;
+        }
+        if (frame.error) {
+            throw new Error(frame.error);
+        }
+        emit(frame.token ?? frame.delta ?? frame.content ?? '');
+        if (frame.done) {
+            done = frame;
+        }
+    };
+
+    try {
+        while (!done) {
+            const { value, done: streamEnded } = await reader.read();
+            if (streamEnded) break;
+
+            const chunk = decoder.decode(value, { stream: true });
+            if (!isEventStream) {
+                emit(chunk);
+                continue;
+            }
+
+            buffer += chunk.replace(/\r\n/g, '\n');
+            let separatorIndex;
+            while (!done && (separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+                handleEvent(buffer.slice(0, separatorIndex));
+                buffer = buffer.slice(separatorIndex + 2);
+            }
+        }
+        if (isEventStream && buffer.trim() && !done) {
+            handleEvent(buffer);
+        }
+    } catch (error) {
+        error.partialText = text;
+        throw error;
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+
+    return { text, done };
+}
+
+function abortedChatResult(partialText = '') {
+    return {
+        success: false,
+        response: partialText,
+        message_id: 'stopped_' + crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        aborted: true
+    };
+}
+
+/**
+ * POST /chat/send - same result shape as chatService.sendMessage
+ */
+async function sendChatRequest(payload, signal) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await authFetch(`${apiBaseUrl}/chat/send`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return abortedChatResult();
+        }
+        console.error('[Chat] Send error:', error.message);
+        return {
+            success: false,
+            response: "I'm having trouble connecting to the AI service. Please check your internet connection and try again.",
+            message_id: 'error_' + crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            offline: true
+        };
+    }
+}
+
+/**
+ * Stream the reply from POST /chat/stream, calling onToken(textSoFar) as text arrives.
+ * Falls back to /chat/send when streaming is unavailable. Resolves to the same shape
+ * as sendChatRequest; `incomplete: true` marks a stream that broke after partial text,
+ * `aborted: true` one stopped through `signal` (response holds the partial text).
+ */
+async function streamChatRequest(payload, signal, onToken) {
+    if (chatStreamUnavailable) {
+        return sendChatRequest(payload, signal);
+    }
+
+    let response;
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        response = await authFetch(`${apiBaseUrl}/chat/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+            body: JSON.stringify(payload),
+            signal
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return abortedChatResult();
+        }
+        return sendChatRequest(payload, signal);
+    }
+
+    if (!response.ok || !response.body) {
+        if ([404, 405, 501].includes(response.status)) {
+            console.log('[Chat] Streaming not supported by backend, using /chat/send');
+            chatStreamUnavailable = true;
+        }
+        return sendChatRequest(payload, signal);
+    }
+
+    try {
+        const { text, done } = await readChatStream(response, onToken);
+        return {
+            success: true,
+            response: done?.response || text,
+            message_id: done?.message_id || 'stream_' + crypto.randomUUID(),
+            timestamp: done?.timestamp || new Date().toISOString(),
+            rate_limit: done?.rate_limit,
+            streamed: true
+        };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return abortedChatResult(error.partialText);
+        }
+        console.error('[Chat] Stream interrupted:', error.message);
+        if (!error.partialText) {
+            return sendChatRequest(payload, signal);
+        }
+        return {
+            success: false,
+            response: error.partialText,
+            message_id: 'stream_' + crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            streamed: true,
+            incomplete: true
+        };
+    }
+}
+
+/**
+ * Run a chat turn to completion and save the reply, even if the popup closes meanwhile
+ * @param {{turnId, chatId, userMessageId, payload, stream, dealId, dealName}} request - payload built by the UI
+ */
+async function runChatTurn(request) {
+    const { turnId, chatId, userMessageId, payload, stream, dealId, dealName } = request;
+    const controller = new AbortController();
+    chatTurnControllers.set(turnId, controller);
+
+    const turns = await loadChatTurns();
+    turns[turnId] = { turnId, chatId, userMessageId, status: 'pending', text: '', startedAt: Date.now() };
+    await updateChatTurn(turnId, {});
+
+    try {
+        const onToken = (text) => updateChatTurn(turnId, { status: 'streaming', text }, { persist: false });
+        const result = stream
+            ? await streamChatRequest(payload, controller.signal, onToken)
+            : await sendChatRequest(payload, controller.signal);
+
+        const message = {
+            id: result.message_id || crypto.randomUUID(),
+            type: 'assistant',
+            message: result.response,
+            timestamp: result.timestamp || new Date().toISOString(),
+            parentId: userMessageId, // Replies to the same message are branches of each other
+            ...(result.incomplete && { incomplete: true }),
+            ...(result.aborted && { interrupted: true, replyTo: userMessageId })
+        };
+
+        let persisted = false;
+        try {
+            persisted = await persistChatMessage(chatId, message, dealId, dealName);
+        } catch (error) {
+            // The open chat view saves it instead (persisted: false)
+            console.error('[Chat] Could not save reply:', error.message);
+        }
+
+        await updateChatTurn(turnId, { status: 'done', text: result.response, message, persisted, rateLimit: result.rate_limit });
+        console.log('[Chat] 💬 Reply received for', chatId);
+
+        if (chatTurnPorts.size === 0 && !result.aborted) {
+            notifyChatReply(turnId, message.message);
+        }
+        if (persisted) {
+            await removeChatTurn(turnId);
+        }
+    } catch (error) {
+        console.error('[Chat] Turn failed:', error.message);
+        await updateChatTurn(turnId, { status: 'error', error: 'Sorry, I encountered an error. Please try again.' });
+    } finally {
+        chatTurnControllers.delete(turnId);
+    }
+}
+
+function notifyChatReply(turnId, text) {
+    const preview = (text || '').replace(/\s+/g, ' ').trim();
+    chrome.notifications.create(turnId, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'SalesHub AI replied',
+        message: preview.length > 120 ? preview.substring(0, 120) + '...' : preview || 'Your reply is ready.'
+    });
+}
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    chrome.notifications.clear(notificationId);
+    // Reopening the popup needs Chrome 127+; otherwise the rep clicks the toolbar icon
+    chrome.action.openPopup?.().catch(() => {});
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== CHAT_TURNS_PORT) return;
+    chatTurnPorts.add(port);
+    port.onDisconnect.addListener(() => chatTurnPorts.delete(port));
+
+    // In-flight turns and replies that couldn't be saved, for the reopened popup
+    loadChatTurns()
+        .then(turns => port.postMessage({ type: 'CHAT_TURNS', turns: Object.values(turns) }))
+        .catch(error => console.error('[Chat] Error sending chat turns:', error.message));
+});
+
+// ==================== Context Menu ====================
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        CONTEXT_MENU_ACTIONS.forEach(action => {
+            chrome.contextMenus.create({ id: action.id, title: action.title, contexts: ['selection'] });
+        });
+    });
+}
+
+function truncateSelection(text) {
+    return text.length > SELECTION_MAX_LENGTH ? text.substring(0, SELECTION_MAX_LENGTH).trimEnd() + '…' : text;
+}
+
+/**
+ * Selected text with its line breaks from the page's content script;
+ * info.selectionText has them collapsed, so it's only the fallback
+ * (capped like the content script's text)
+ */
+async function getSelectionFromTab(tabId, fallback) {
+    try {
+        const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_CONTEXT' });
+        if (response?.success && response.context.source === 'selection') {
+            return response.context.text;
+        }
+    } catch (error) {
+        console.log('[Chat] Page context script unavailable:', error.message);
+    }
+    return truncateSelection(fallback);
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    const action = CONTEXT_MENU_ACTIONS.find(item => item.id === info.menuItemId);
+    if (!action || !info.selectionText) return;
+
+    // Opening the UI needs the click's user gesture, so it happens before anything async -
+    // and can't wait for the surface setting to load on a cold start. The side panel stays
+    // open next to the page, so actions always go there where it's supported; an already
+    // open popup/side panel picks the action up from storage instead
+    const opened = chrome.sidePanel && tab
+        ? chrome.sidePanel.open({ windowId: tab.windowId })
+        : chrome.action.openPopup?.();
+    Promise.resolve(opened).catch(error => console.log('[Chat] Could not open SalesHub:', error.message));
+
+    (async () => {
+        const selection = tab?.id !== undefined
+            ? await getSelectionFromTab(tab.id, info.selectionText)
+            : truncateSelection(info.selectionText);
+        await chrome.storage.session.set({
+            [PENDING_CHAT_ACTION_KEY]: {
+                id: 'action_' + Date.now(),
+                intent: action.intent,
+                selection,
+                title: tab?.title || '',
+                url: info.pageUrl || tab?.url || '',
+                createdAt: new Date().toISOString()
+            }
+        });
+        console.log('[Chat] 📋 Context menu action:', action.intent);
+    })().catch(error => console.error('[Chat] Context menu action failed:', error.message));
+});
+
 // ==================== URL Utilities ====================
 function extractDomain(url) {
     try {
@@ -156,19 +860,338 @@ function handleUserIdle() {
     isUserActive = false;
 }
 
+// ==================== Offline Queue ====================
+// Failed /tracking/log, /tracking/update-duration and /chat/feedback calls are
+// persisted in chrome.storage.local and replayed once /health responds again. Visits logged
+// while offline get a local visit ID; once the queued log succeeds the local ID
+// is mapped to the server visit ID so later duration updates reach the right row.
+
+let queueLock = Promise.resolve();
+let isFlushingQueue = false;
+let queueBackoffUntil = 0;
+let queueFailureCount = 0;
+
+/**
+ * Serialize read-modify-write access to the queue in storage
+ */
+function withQueueLock(fn) {
+    const run = queueLock.then(fn, fn);
+    queueLock = run.catch(() => {});
+    return run;
+}
+
+async function loadQueueState() {
+    const data = await chrome.storage.local.get([QUEUE_STORAGE_KEY, VISIT_ID_MAP_KEY]);
+    return {
+        queue: data[QUEUE_STORAGE_KEY] || [],
+        visitIdMap: data[VISIT_ID_MAP_KEY] || {}
+    };
+}
+
+function createLocalVisitId() {
+    return LOCAL_VISIT_PREFIX + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+function isLocalVisitId(visitId) {
+    return typeof visitId === 'string' && visitId.startsWith(LOCAL_VISIT_PREFIX);
+}
+
+/**
+ * Add a failed call to the queue
+ * @param {'log'|'duration'|'feedback'} kind
+ * @param {object} payload - Request body as it would have been sent
+ * @param {string|null} localVisitId - Local visit ID the entry belongs to
+ */
+function enqueueTrackingCall(kind, payload, localVisitId = null) {
+    return withQueueLock(async () => {
+        let { queue } = await loadQueueState();
+
+        // Durations are cumulative, so only the latest update per visit matters
+        if (kind === 'duration') {
+            queue = queue.filter(entry => !(entry.kind === 'duration' && entry.payload.visit_id === payload.visit_id));
+        }
+        // Likewise a message's latest rating replaces the one before it
+        if (kind === 'feedback') {
+            queue = queue.filter(entry => !(entry.kind === 'feedback' && entry.payload.message_id === payload.message_id));
+        }
+
+        queue.push({
+            id: Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+            kind,
+            payload,
+            localVisitId,
+            attempts: 0,
+            queuedAt: Date.now()
+        });
+
+        if (queue.length > QUEUE_MAX_SIZE) {
+            console.log('[Tracking] 🗑️ Queue full, dropping', queue.length - QUEUE_MAX_SIZE, 'oldest entries');
+            queue = queue.slice(queue.length - QUEUE_MAX_SIZE);
+        }
+
+        await chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: queue });
+        console.log('[Tracking] 📥 Queued', kind, 'call. Queue size:', queue.length);
+    });
+}
+
+/**
+ * Resolve a visit ID to the server visit ID if a mapping exists
+ * @returns {Promise<string|number|null>} Server visit ID, or null if still pending
+ */
+async function resolveVisitId(visitId) {
+    if (!isLocalVisitId(visitId)) return visitId;
+    const { visitIdMap } = await loadQueueState();
+    return visitIdMap[visitId]?.serverId || null;
+}
+
+/**
+ * Whether a failed response is worth retrying (5xx, timeout, rate limit)
+ */
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * A 401 that authFetch's token refresh couldn't fix: the user is signed out. The call
+ * is kept in the queue, but nothing is replayed until the next sign-in
+ */
+function isSignedOutStatus(status) {
+    return status === 401;
+}
+
+async function isBackendHealthy() {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await fetch(`${apiBaseUrl}/health`);
+        return response.ok;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Send one queued entry
+ * @returns {Promise<'sent'|'retry'|'drop'|'wait'|'signed_out'>}
+ */
+async function sendQueuedEntry(entry, visitIdMap, queue) {
+    const apiBaseUrl = await getApiBaseUrl();
+    let url;
+    let body = entry.payload;
+
+    if (entry.kind === 'log') {
+        url = `${apiBaseUrl}/tracking/log`;
+        // Visits queued while signed out belong to whoever signs in next
+        body = { ...body, user_id: await getUserId() };
+    } else if (entry.kind === 'feedback') {
+        url = `${apiBaseUrl}/chat/feedback`;
+        body = { ...body, user_id: await getUserId() };
+    } else {
+        const serverId = isLocalVisitId(body.visit_id) ? visitIdMap[body.visit_id]?.serverId : body.visit_id;
+        if (!serverId) {
+            // The visit itself hasn't reached the server yet - or never will
+            const visitPending = queue.some(other => other.kind === 'log' && other.localVisitId === body.visit_id);
+            return visitPending ? 'wait' : 'drop';
+        }
+        url = `${apiBaseUrl}/tracking/update-duration`;
+        body = { ...body, visit_id: serverId };
+    }
+
+    try {
+        const response = await authFetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        if (response.ok) {
+            if (entry.kind === 'log' && entry.localVisitId) {
+                const result = await response.json();
+                if (result.visit_id) {
+                    visitIdMap[entry.localVisitId] = { serverId: result.visit_id, mappedAt: Date.now() };
+                    await remapCurrentVisit(entry.localVisitId, result.visit_id);
+                }
+            }
+            return 'sent';
+        }
+
+        console.error('[Tracking] ❌ Queued', entry.kind, 'failed:', response.status);
+        if (isSignedOutStatus(response.status)) return 'signed_out';
+        return isRetryableStatus(response.status) ? 'retry' : 'drop';
+    } catch (error) {
+        console.error('[Tracking] ❌ Queued', entry.kind, 'network error:', error.message);
+        return 'retry';
+    }
+}
+
+/**
+ * Swap a local visit ID for the server one if it is still the current visit
+ */
+async function remapCurrentVisit(localVisitId, serverVisitId) {
+    if (currentVisit && currentVisit.visit_id === localVisitId) {
+        currentVisit = { ...currentVisit, visit_id: serverVisitId, queued: false };
+        await persistVisitData();
+        console.log('[Tracking] 🔗 Current visit mapped to server ID:', serverVisitId);
+    }
+}
+
+function pruneVisitIdMap(visitIdMap, queue) {
+    const now = Date.now();
+    const referenced = new Set(queue.map(entry => entry.payload.visit_id || entry.localVisitId));
+    for (const [localId, mapping] of Object.entries(visitIdMap)) {
+        if (!referenced.has(localId) && now - mapping.mappedAt > VISIT_ID_MAP_TTL_MS) {
+            delete visitIdMap[localId];
+        }
+    }
+}
+
+/**
+ * Replay queued calls in batches once the backend is reachable.
+ * Backs off exponentially while the backend stays down.
+ */
+async function flushTrackingQueue() {
+    if (isFlushingQueue || Date.now() < queueBackoffUntil) return;
+    isFlushingQueue = true;
+
+    try {
+        const { queue: pending } = await loadQueueState();
+        if (pending.length === 0) return;
+
+        // Signed out: hold everything until the sign-in listener flushes again
+        if (!(await getAccessToken())) {
+            console.log('[Tracking] 🔒 Signed out,', pending.length, 'queued until sign-in');
+            return;
+        }
+
+        if (!(await isBackendHealthy())) {
+            queueFailureCount++;
+            const backoff = Math.min(QUEUE_BASE_BACKOFF_MS * 2 ** (queueFailureCount - 1), QUEUE_MAX_BACKOFF_MS);
+            queueBackoffUntil = Date.now() + backoff;
+            console.log('[Tracking] ⏳ Backend unavailable,', pending.length, 'queued. Retrying in', Math.round(backoff / 1000), 's');
+            return;
+        }
+
+        console.log('[Tracking] 🔄 Flushing', pending.length, 'queued tracking calls');
+
+        let hadFailure = false;
+        let signedOut = false;
+        while (!hadFailure && !signedOut) {
+            const sentIds = new Set();
+            const droppedIds = new Set();
+            const retriedIds = new Map(); // entry ID -> attempts so far
+
+            // Take the batch under the lock but send it without holding it, so calls
+            // failing meanwhile can still be queued; the results are applied afterwards
+            const { queue: snapshot, visitIdMap } = await withQueueLock(loadQueueState);
+            const batch = snapshot.slice(0, QUEUE_BATCH_SIZE);
+
+            for (const entry of batch) {
+                const outcome = await sendQueuedEntry(entry, visitIdMap, snapshot);
+                if (outcome === 'sent') {
+                    sentIds.add(entry.id);
+                } else if (outcome === 'drop') {
+                    droppedIds.add(entry.id);
+                } else if (outcome === 'signed_out') {
+                    // Not the entry's fault - stop without counting an attempt
+                    signedOut = true;
+                    break;
+                } else if (outcome === 'retry') {
+                    entry.attempts++;
+                    if (entry.attempts >= QUEUE_MAX_ATTEMPTS) {
+                        console.log('[Tracking] 🗑️ Dropping queued', entry.kind, 'after', entry.attempts, 'attempts');
+                        droppedIds.add(entry.id);
+                        continue;
+                    }
+                    retriedIds.set(entry.id, entry.attempts);
+                    hadFailure = true;
+                    break;
+                }
+                // 'wait' leaves the entry in place for a later pass
+            }
+
+            await withQueueLock(async () => {
+                // Entries queued (or replaced) while the batch was out are kept as they are now
+                const { queue } = await loadQueueState();
+                const kept = queue
+                    .filter(entry => !sentIds.has(entry.id) && !droppedIds.has(entry.id))
+                    .map(entry => retriedIds.has(entry.id) ? { ...entry, attempts: retriedIds.get(entry.id) } : entry);
+                // A failing entry goes to the back so it can't hold up the ones behind it
+                const remaining = [
+                    ...kept.filter(entry => !retriedIds.has(entry.id)),
+                    ...kept.filter(entry => retriedIds.has(entry.id))
+                ];
+                // Only the flush writes the ID map, so the copy the batch updated is current
+                pruneVisitIdMap(visitIdMap, remaining);
+                await chrome.storage.local.set({
+                    [QUEUE_STORAGE_KEY]: remaining,
+                    [VISIT_ID_MAP_KEY]: visitIdMap
+                });
+            });
+
+            // Stop when the batch made no progress (empty, or only waiting entries)
+            if (sentIds.size === 0 && droppedIds.size === 0) break;
+        }
+
+        if (signedOut) {
+            console.log('[Tracking] 🔒 Session expired, queue held until sign-in');
+        } else if (hadFailure) {
+            queueFailureCount++;
+            queueBackoffUntil = Date.now() + Math.min(QUEUE_BASE_BACKOFF_MS * 2 ** (queueFailureCount - 1), QUEUE_MAX_BACKOFF_MS);
+        } else {
+            queueFailureCount = 0;
+            queueBackoffUntil = 0;
+            console.log('[Tracking] ✅ Queue flushed');
+        }
+    } catch (error) {
+        console.error('[Tracking] Error flushing queue:', error.message);
+    } finally {
+        isFlushingQueue = false;
+    }
+}
+
+// ==================== Chat Feedback ====================
+
+/**
+ * POST a message rating from the chat view to /chat/feedback,
+ * queueing it for replay if the backend can't take it now
+ */
+async function sendChatFeedback(feedback) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await authFetch(`${apiBaseUrl}/chat/feedback`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...feedback, user_id: await getUserId() })
+        });
+
+        if (response.ok) {
+            console.log('[Chat] 👍 Feedback sent for message', feedback.message_id);
+            flushTrackingQueue();
+            return { sent: true };
+        }
+        console.error('[Chat] ❌ Feedback API error:', response.status);
+        if (!isRetryableStatus(response.status) && !isSignedOutStatus(response.status)) return { sent: false };
+    } catch (error) {
+        console.error('[Chat] ❌ Feedback network error:', error.message);
+    }
+
+    await enqueueTrackingCall('feedback', feedback);
+    return { sent: false, queued: true };
+}
+
 // ==================== API Calls ====================
 async function logVisit(data) {
-    try {
-        const userId = await getUserId();
-        const payload = {
-            user_id: userId,
-            ...data,
-            timestamp: new Date().toISOString()
-        };
+    const userId = await getUserId();
+    const payload = {
+        user_id: userId,
+        ...data,
+        timestamp: new Date().toISOString()
+    };
 
+    try {
         console.log('[Tracking] 📤 Sending to API:', payload.domain);
 
-        const response = await fetch(`${API_BASE_URL}/tracking/log`, {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await authFetch(`${apiBaseUrl}/tracking/log`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(payload)
@@ -177,35 +1200,56 @@ async function logVisit(data) {
         if (response.ok) {
             const result = await response.json();
             console.log('[Tracking] ✅ Logged:', data.domain, '| Visit ID:', result.visit_id);
+            flushTrackingQueue();
             return result;
         } else {
             const errorText = await response.text();
             console.error('[Tracking] ❌ API error:', response.status, errorText);
+            if (!isRetryableStatus(response.status) && !isSignedOutStatus(response.status)) return null;
         }
     } catch (error) {
         console.error('[Tracking] ❌ Network error:', error.message);
     }
-    return null;
+
+    // Queue the visit under a local ID so duration updates can follow it
+    const localVisitId = createLocalVisitId();
+    await enqueueTrackingCall('log', payload, localVisitId);
+    return { success: true, visit_id: localVisitId, queued: true };
 }
 
 async function updateDuration(visitId, duration) {
     if (!visitId || duration <= 0 || duration >= 86400) return;
 
+    const payload = {
+        visit_id: visitId,
+        duration_seconds: duration
+    };
+
+    const serverVisitId = await resolveVisitId(visitId);
+    if (!serverVisitId) {
+        // Visit is still queued - hold the update until it has a server ID
+        await enqueueTrackingCall('duration', payload, visitId);
+        return;
+    }
+
     try {
-        const response = await fetch(`${API_BASE_URL}/tracking/update-duration`, {
+        const apiBaseUrl = await getApiBaseUrl();
+        const response = await authFetch(`${apiBaseUrl}/tracking/update-duration`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                visit_id: visitId,
-                duration_seconds: duration
-            })
+            body: JSON.stringify({ ...payload, visit_id: serverVisitId })
         });
         if (response.ok) {
             console.log('[Tracking] ⏱️ Duration updated:', duration, 'seconds (active time)');
+            return;
         }
+        console.error('[Tracking] ❌ Duration update failed:', response.status);
+        if (!isRetryableStatus(response.status) && !isSignedOutStatus(response.status)) return;
     } catch (error) {
         console.error('[Tracking] Error updating duration:', error.message);
     }
+
+    await enqueueTrackingCall('duration', payload, isLocalVisitId(visitId) ? visitId : null);
 }
 
 // Update duration for previous visit with accumulated active time
@@ -330,6 +1374,7 @@ chrome.runtime.onStartup.addListener(async () => {
 // Extension installed/updated
 chrome.runtime.onInstalled.addListener(async (details) => {
     console.log('[Tracking] 📦 Extension installed/updated:', details.reason);
+    createContextMenus();
     try {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (tab && shouldTrackUrl(tab.url)) {
@@ -342,7 +1387,13 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 
 // Keep service worker alive and periodically update duration
 chrome.alarms.create('keepAlive', { periodInMinutes: 0.5 });  // Every 30 seconds for more accurate tracking
+chrome.alarms.create('flushTrackingQueue', { periodInMinutes: 1 });  // Replay offline tracking calls
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === 'flushTrackingQueue') {
+        await flushTrackingQueue();
+        return;
+    }
+
     if (alarm.name === 'keepAlive' && currentVisit) {
         const now = Date.now();
         const isActive = await checkUserActive();
@@ -393,24 +1444,37 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
-    // HubSpot deal ID from content script
-    if (message.type === 'HUBSPOT_DEAL_ID') {
-        currentHubSpotDealId = message.dealId;
-        if (message.dealId) {
-            console.log('[Tracking] 📊 HubSpot deal detected:', message.dealId);
-        } else {
-            console.log('[Tracking] 📊 HubSpot deal cleared');
+    // HubSpot record (contact, company, deal or ticket) from content script
+    if (message.type === 'HUBSPOT_RECORD') {
+        const tabId = sender.tab?.id;
+        if (tabId === undefined) {
+            sendResponse({ received: false });
+            return true;
         }
-        sendResponse({ received: true });
+        const record = message.objectType && message.recordId
+            ? { objectType: message.objectType, recordId: message.recordId, portalId: message.portalId }
+            : null;
+        setHubSpotRecordForTab(tabId, record, message.url).then(() => {
+            if (record) {
+                console.log('[Tracking] 📊 HubSpot', record.objectType, 'detected in tab', tabId + ':', record.recordId);
+            } else {
+                console.log('[Tracking] 📊 HubSpot record cleared in tab', tabId);
+            }
+            sendResponse({ received: true });
+            broadcastActiveHubSpotRecord();
+        });
         return true;
     }
 
-    // Get current HubSpot deal ID (for frontend popup)
-    if (message.type === 'GET_HUBSPOT_DEAL_ID') {
-        sendResponse({
-            success: true,
-            dealId: currentHubSpotDealId
-        });
+    // Get the HubSpot record of the active tab (for frontend popup)
+    if (message.type === 'GET_HUBSPOT_RECORD') {
+        getActiveTabHubSpotRecord()
+            .then(({ tabId, record }) => {
+                sendResponse({ success: true, tabId, record });
+            })
+            .catch(error => {
+                sendResponse({ success: false, record: null, error: error.message });
+            });
         return true;
     }
 
@@ -428,13 +1492,35 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
-    if (message.type === 'SYNC_USER_ID') {
-        if (message.userId) {
-            cachedUserId = message.userId;
-            chrome.storage.local.set({ extension_user_id: message.userId });
-            console.log('[Tracking] 🔗 Synced user ID from frontend:', message.userId);
-            sendResponse({ success: true });
-        }
+    // Chat send from the popup/side panel - runs here so the reply survives the popup closing
+    if (message.type === 'CHAT_SEND') {
+        runChatTurn(message.turn);
+        sendResponse({ accepted: true });
+        return true;
+    }
+
+    // Stop button - abort an in-flight chat turn (its partial reply is still saved)
+    if (message.type === 'CHAT_STOP') {
+        chatTurnControllers.get(message.turnId)?.abort();
+        sendResponse({ stopped: chatTurnControllers.has(message.turnId) });
+        return true;
+    }
+
+    // Chat view has shown a finished turn (error, or a reply it saved itself)
+    if (message.type === 'CHAT_TURN_ACK') {
+        removeChatTurn(message.turnId).then(() => sendResponse({ received: true }));
+        return true;
+    }
+
+    // Thumbs up/down on a reply - sent now, or queued until the backend is back
+    if (message.type === 'CHAT_FEEDBACK') {
+        sendChatFeedback(message.feedback).then(result => sendResponse(result));
+        return true;
+    }
+
+    // Token refresh on behalf of the popup/side panel
+    if (message.type === 'AUTH_REFRESH') {
+        refreshAccessToken().then(result => sendResponse(result));
         return true;
     }
 
@@ -450,8 +1536,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 console.log('[Tracking] 🚀 Background service worker initialized (Activity-Based Mode)');
 
 (async () => {
+    const settings = await chrome.storage.local.get([SETTINGS_KEY]);
+    applyUiSurface(settings[SETTINGS_KEY]);
+
     await loadPersistedVisitData();
     lastHeartbeatTime = Date.now();
+    flushTrackingQueue();
 
     try {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
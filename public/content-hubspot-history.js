@@ -0,0 +1,25 @@
+/**
+ * Content Script for HubSpot SPA Navigation (runs in the page's MAIN world)
+ * Isolated-world content scripts can't see the page's own history.pushState calls,
+ * so this wraps pushState/replaceState and re-announces them as a DOM event
+ * that content-hubspot.js listens for.
+ */
+
+(function () {
+    'use strict';
+
+    const LOCATION_CHANGE_EVENT = 'saleshub:locationchange';
+
+    // Guard against double injection (e.g. extension reload)
+    if (window.__saleshubHistoryHooked) return;
+    window.__saleshubHistoryHooked = true;
+
+    ['pushState', 'replaceState'].forEach(method => {
+        const original = history[method];
+        history[method] = function (...args) {
+            const result = original.apply(this, args);
+            window.dispatchEvent(new Event(LOCATION_CHANGE_EVENT));
+            return result;
+        };
+    });
+})();
@@ -1,57 +1,65 @@
 /**
- * Content Script for HubSpot Deal Detection
- * Minimal script that extracts deal ID from URL only (no DOM scraping)
- * Sends deal ID to background script for API-based data fetching
+ * Content Script for HubSpot Record Detection
+ * Minimal script that extracts the record type and ID from the URL only (no DOM scraping)
+ * Sends the record to background script for API-based data fetching
  */
 
 (function () {
     'use strict';
 
-    // Match all HubSpot regional subdomains
-    const HUBSPOT_DEAL_URL_PATTERN = /app(-[a-z0-9]+)?\.hubspot\.com\/contacts\/\d+\/record\/0-3\/(\d+)/;
-    const CONTEXT_UPDATE_DEBOUNCE = 1000; // 1 second
+    // Match all HubSpot regional subdomains: /contacts/<portalId>/record/<objectTypeId>/<recordId>
+    const HUBSPOT_RECORD_URL_PATTERN = /app(-[a-z0-9]+)?\.hubspot\.com\/contacts\/(\d+)\/record\/(0-\d+)\/(\d+)/;
+    const CONTEXT_UPDATE_DEBOUNCE = 250; // Coalesce bursts of history updates
+    const LOCATION_CHANGE_EVENT = 'saleshub:locationchange'; // From content-hubspot-history.js
 
-    let lastDealId = null;
-    let debounceTimer = null;
+    // HubSpot object type IDs we have backend support for
+    const HUBSPOT_OBJECT_TYPES = {
+        '0-1': 'contact',
+        '0-2': 'company',
+        '0-3': 'deal',
+        '0-5': 'ticket'
+    };
 
-    /**
-     * Extract deal ID from URL
-     * @returns {string|null} Deal ID or null if not on deal page
-     */
-    function extractDealId() {
-        const match = window.location.href.match(HUBSPOT_DEAL_URL_PATTERN);
-        return match ? match[2] : null;
-    }
+    let lastRecordKey; // undefined until the first check, so the state on load is always posted
+    let debounceTimer = null;
 
     /**
-     * Check if current page is a HubSpot deal page
-     * @returns {boolean}
+     * Extract record from URL
+     * @returns {{objectType: string, recordId: string, portalId: string}|null} Record or null if not on a supported record page
      */
-    function isHubSpotDealPage() {
-        return HUBSPOT_DEAL_URL_PATTERN.test(window.location.href);
+    function extractRecord() {
+        const match = window.location.href.match(HUBSPOT_RECORD_URL_PATTERN);
+        if (!match || !HUBSPOT_OBJECT_TYPES[match[3]]) return null;
+        return {
+            objectType: HUBSPOT_OBJECT_TYPES[match[3]],
+            recordId: match[4],
+            portalId: match[2]
+        };
     }
 
     /**
-     * Send deal context to background script
-     * @param {string|null} dealId 
+     * Send record context to background script
+     * @param {{objectType: string, recordId: string, portalId: string}|null} record
      */
-    function sendDealIdToBackground(dealId) {
+    function sendRecordToBackground(record) {
         try {
             chrome.runtime.sendMessage({
-                type: 'HUBSPOT_DEAL_ID',
-                dealId: dealId,
+                type: 'HUBSPOT_RECORD',
+                objectType: record?.objectType || null,
+                recordId: record?.recordId || null,
+                portalId: record?.portalId || null,
                 url: window.location.href
             }, response => {
                 if (chrome.runtime.lastError) {
                     // Extension might be reloading, ignore error
-                    console.log('[HubSpot] Could not send deal ID:', chrome.runtime.lastError.message);
+                    console.log('[HubSpot] Could not send record:', chrome.runtime.lastError.message);
                 } else if (response && response.received) {
-                    console.log('[HubSpot] Deal ID sent:', dealId);
+                    console.log('[HubSpot] Record sent:', record ? `${record.objectType} ${record.recordId}` : 'none');
                 }
             });
         } catch (error) {
             // Silently fail - extension might be reloading
-            console.log('[HubSpot] Error sending deal ID:', error.message);
+            console.log('[HubSpot] Error sending record:', error.message);
         }
     }
 
@@ -61,19 +69,20 @@
     function debouncedUpdate() {
         clearTimeout(debounceTimer);
         debounceTimer = setTimeout(() => {
-            const dealId = extractDealId();
+            const record = extractRecord();
+            const recordKey = record ? `${record.objectType}:${record.recordId}` : null;
 
-            // Only send if deal ID changed
-            if (dealId !== lastDealId) {
-                lastDealId = dealId;
+            // Only send if the record changed - and always once on load, including "no record",
+            // so a record left behind by the page before a full reload is cleared
+            if (recordKey !== lastRecordKey) {
+                lastRecordKey = recordKey;
 
-                if (dealId) {
-                    console.log('[HubSpot] Deal page detected:', dealId);
-                    sendDealIdToBackground(dealId);
+                if (record) {
+                    console.log('[HubSpot] Record page detected:', record.objectType, record.recordId);
                 } else {
-                    console.log('[HubSpot] Not on deal page, clearing context');
-                    sendDealIdToBackground(null);
+                    console.log('[HubSpot] Not on a record page, clearing context');
                 }
+                sendRecordToBackground(record);
             }
         }, CONTEXT_UPDATE_DEBOUNCE);
     }
@@ -82,25 +91,20 @@
      * Initialize the detector
      */
     function init() {
-        console.log('[HubSpot] Deal detector initialized');
+        console.log('[HubSpot] Record detector initialized');
         console.log('[HubSpot] Current URL:', window.location.href);
 
         // Initial check
         debouncedUpdate();
 
-        // Watch for SPA navigation using URL monitoring
-        let lastUrl = window.location.href;
-
-        // Check URL periodically (HubSpot uses History API)
-        setInterval(() => {
-            if (window.location.href !== lastUrl) {
-                lastUrl = window.location.href;
-                console.log('[HubSpot] URL changed:', lastUrl);
-                debouncedUpdate();
-            }
-        }, 500);
+        // SPA navigation - HubSpot uses the History API (pushState/replaceState
+        // are hooked in the page's main world and re-announced as a DOM event)
+        window.addEventListener(LOCATION_CHANGE_EVENT, () => {
+            console.log('[HubSpot] URL changed:', window.location.href);
+            debouncedUpdate();
+        });
 
-        // Also listen for popstate
+        // Back/forward navigation
         window.addEventListener('popstate', () => {
             console.log('[HubSpot] Popstate event');
             debouncedUpdate();
@@ -0,0 +1,87 @@
+/**
+ * Content Script for "Ask about this page"
+ * Answers GET_PAGE_CONTEXT from the popup/side panel with the page's title, URL and
+ * either the user's selection or a cleaned extract of the main content
+ */
+
+(function () {
+    'use strict';
+
+    const MAX_TEXT_LENGTH = 6000; // Characters of page text attached to a message
+
+    // Where the main content usually lives, best guess first
+    const MAIN_CONTENT_SELECTORS = ['article', 'main', '[role="main"]', '#content', '.content'];
+    // Blocks of readable text inside it
+    const TEXT_BLOCK_SELECTOR = 'h1, h2, h3, h4, p, li, blockquote, pre, td, figcaption';
+    // Page chrome that isn't part of what the rep is reading
+    const EXCLUDED_SELECTOR = 'nav, header, footer, aside, form, script, style, noscript, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"]';
+
+    function isVisible(element) {
+        return !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+    }
+
+    /**
+     * The element holding the most text among the main-content candidates, or the body
+     */
+    function findMainContent() {
+        let best = null;
+        let bestLength = 0;
+        MAIN_CONTENT_SELECTORS.forEach(selector => {
+            document.querySelectorAll(selector).forEach(element => {
+                const length = (element.innerText || '').length;
+                if (length > bestLength && isVisible(element)) {
+                    best = element;
+                    bestLength = length;
+                }
+            });
+        });
+        return best || document.body;
+    }
+
+    /**
+     * Readable text of the main content, one block per line, without navigation and footers
+     */
+    function extractMainText() {
+        const root = findMainContent();
+        const lines = [];
+        root.querySelectorAll(TEXT_BLOCK_SELECTOR).forEach(block => {
+            // Skip wrappers whose text is picked up from the blocks inside them
+            if (block.querySelector(TEXT_BLOCK_SELECTOR)) return;
+            if (block.closest(EXCLUDED_SELECTOR) || !isVisible(block)) return;
+            const text = block.innerText.replace(/\s+/g, ' ').trim();
+            if (text) lines.push(text);
+        });
+
+        // Pages without semantic blocks: fall back to all visible text
+        const text = lines.length > 0 ? lines.join('\n') : (root.innerText || '').replace(/\n{3,}/g, '\n\n');
+        return text.trim();
+    }
+
+    function truncate(text) {
+        return text.length > MAX_TEXT_LENGTH ? text.substring(0, MAX_TEXT_LENGTH).trimEnd() + '…' : text;
+    }
+
+    /**
+     * @returns {{title: string, url: string, source: 'selection'|'page', text: string}}
+     */
+    function getPageContext() {
+        const selection = (window.getSelection()?.toString() || '').trim();
+        return {
+            title: document.title || window.location.hostname,
+            url: window.location.href,
+            source: selection ? 'selection' : 'page',
+            text: truncate(selection || extractMainText())
+        };
+    }
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'GET_PAGE_CONTEXT') {
+            try {
+                sendResponse({ success: true, context: getPageContext() });
+            } catch (error) {
+                console.log('[Page Context] Extraction failed:', error.message);
+                sendResponse({ success: false, error: error.message });
+            }
+        }
+    });
+})();
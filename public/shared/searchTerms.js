@@ -0,0 +1,15 @@
+// Search index words, shared by the chat database code in the page
+// (src/services/chatRepository.js) and the background worker, which saves replies itself.
+// Plain ES module with no imports: public/ files are copied to the extension as they are.
+
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 40;
+
+/**
+ * Split text into lowercase words for the search index and for queries
+ * @returns {string[]} Unique words, in order of first appearance
+ */
+export const getSearchTerms = (text) => {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter(word => word.length >= MIN_TERM_LENGTH && word.length <= MAX_TERM_LENGTH))];
+};
@@ -1,22 +1,82 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useEffectEvent } from "react";
 import ChatWindow from "./components/Chat/ChatWindow";
 import ChatSidebar from "./components/Chat/ChatSidebar";
 import TrackingDashboard from "./components/Tracking/TrackingDashboard";
+import SettingsPanel from "./components/Settings/SettingsPanel";
+import LoginScreen from "./components/Auth/LoginScreen";
+import StorageWarning from "./components/Chat/StorageWarning";
+import Toast from "./components/Common/Toast";
 import { healthService, utils } from "./services/api";
-import { FiMessageCircle, FiMenu, FiActivity } from "react-icons/fi";
+import { settingsService } from "./services/settings";
+import { authService } from "./services/auth";
+import { chatRepository } from "./services/chatRepository";
+import { chatExportService } from "./services/chatExport";
+import { contextActionService } from "./services/contextActions";
+import { FiMessageCircle, FiMenu, FiActivity, FiSettings } from "react-icons/fi";
+
+const SEARCH_HIGHLIGHT_MS = 3000; // How long a message opened from search stays highlighted
+const TOAST_MS = 6000;
 
 function App() {
   const [backendHealth, setBackendHealth] = useState(null);
   const [chats, setChats] = useState([]);
+  const [trashedChats, setTrashedChats] = useState([]);
   const [activeChatId, setActiveChatId] = useState(null);
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const [activeView, setActiveView] = useState("chat"); // 'chat' or 'tracking'
+  const [activeView, setActiveView] = useState("chat"); // 'chat', 'tracking' or 'settings'
+  const [authUser, setAuthUser] = useState(undefined); // undefined while the stored session loads
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [storageStatus, setStorageStatus] = useState(null);
+  const [storageWarningDismissed, setStorageWarningDismissed] = useState(false);
+  const [focusedMessage, setFocusedMessage] = useState(null); // { chatId, messageId } opened from search
+  const [toast, setToast] = useState(null); // { message, actionLabel, onAction }
+  const [pendingChatAction, setPendingChatAction] = useState(null); // Context menu action for ChatWindow to send
+
+  // A context menu action on selected text: open its chat and hand it to ChatWindow
+  const openPendingChatAction = useEffectEvent(async () => {
+    const action = await contextActionService.takePendingAction();
+    if (!action) return;
+    const chat = await contextActionService.getChatFor(action);
+    setChats(await utils.getAllChats());
+    setActiveView("chat");
+    setActiveChatId(chat.id);
+    utils.setActiveChatId(chat.id);
+    setPendingChatAction({ ...action, chatId: chat.id });
+  });
+
+  useEffect(() => {
+    authService.init().then(setAuthUser);
+    return authService.subscribe((event, user) => {
+      setAuthUser(user);
+      setSessionExpired(event === "session_expired");
+    });
+  }, []);
 
   useEffect(() => {
     checkBackendHealth();
-    loadChats();
+    // After the saved chats are in, so the action's chat stays the active one
+    loadChats().then(() => openPendingChatAction());
     const interval = setInterval(checkBackendHealth, 30000);
-    return () => clearInterval(interval);
+    // Re-check right away when the backend profile changes
+    const unsubscribe = settingsService.subscribe(() => checkBackendHealth());
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+    };
+  }, []);
+
+  // Actions chosen while the popup/side panel is already open
+  useEffect(() => contextActionService.subscribe(() => openPendingChatAction()), []);
+
+  // Warn when chat storage nears its quota; re-check after cleanups
+  useEffect(() => {
+    chatRepository.getStorageStatus().then(setStorageStatus);
+    return chatRepository.subscribe((event) => {
+      if (event.type === "storage_status") {
+        setStorageStatus(event.status);
+        setStorageWarningDismissed(false);
+      }
+    });
   }, []);
 
   const checkBackendHealth = async () => {
@@ -28,23 +88,35 @@ function App() {
     }
   };
 
-  const loadChats = () => {
-    const savedChats = utils.getAllChats();
+  const loadChats = async () => {
+    // Chats past the trash retention period go for good - housekeeping only, so a
+    // failure here must not keep the chat list from loading
+    try {
+      await utils.purgeExpiredTrash();
+    } catch (error) {
+      console.error("Failed to purge expired trash:", error);
+    }
+    const [savedChats, trash] = await Promise.all([utils.getAllChats(), utils.getTrashedChats()]);
     setChats(savedChats);
+    setTrashedChats(trash);
 
-    // Set active chat from localStorage or first chat
+    // Set active chat from localStorage or first (unarchived) chat
     const savedActiveChatId = utils.getActiveChatId();
+    const firstOpenChat = savedChats.find(c => !c.archived);
     if (savedActiveChatId && savedChats.find(c => c.id === savedActiveChatId)) {
       setActiveChatId(savedActiveChatId);
-    } else if (savedChats.length > 0) {
-      setActiveChatId(savedChats[0].id);
-      utils.setActiveChatId(savedChats[0].id);
+    } else if (firstOpenChat) {
+      setActiveChatId(firstOpenChat.id);
+      utils.setActiveChatId(firstOpenChat.id);
+    } else {
+      setActiveChatId(null);
+      utils.setActiveChatId(null);
     }
   };
 
-  const handleNewChat = () => {
-    const newChat = utils.createChat();
-    setChats(utils.getAllChats());
+  const handleNewChat = async () => {
+    const newChat = await utils.createChat();
+    setChats(await utils.getAllChats());
     setActiveChatId(newChat.id);
   };
 
@@ -53,23 +125,111 @@ function App() {
     utils.setActiveChatId(chatId);
   };
 
-  const handleDeleteChat = (chatId) => {
-    const updatedChats = utils.deleteChat(chatId);
+  // Open a search result: switch to its chat, then scroll to and highlight the message
+  const handleOpenSearchResult = (chatId, messageId) => {
+    const focus = { chatId, messageId };
+    handleSelectChat(chatId);
+    setFocusedMessage(focus);
+    setTimeout(() => setFocusedMessage(current => current === focus ? null : current), SEARCH_HIGHLIGHT_MS);
+  };
+
+  const showToast = (toastProps) => {
+    setToast(toastProps);
+    setTimeout(() => setToast(current => current === toastProps ? null : current), TOAST_MS);
+  };
+
+  // Deleting moves the chat to the trash, with a toast to undo it
+  const handleDeleteChat = async (chatId) => {
+    const updatedChats = await utils.deleteChat(chatId);
     setChats(updatedChats);
+    setTrashedChats(await utils.getTrashedChats());
 
     // Update active chat if needed
     if (chatId === activeChatId) {
-      if (updatedChats.length > 0) {
-        setActiveChatId(updatedChats[0].id);
-      } else {
-        setActiveChatId(null);
-      }
+      setActiveChatId(updatedChats.find(c => !c.archived)?.id || null);
+    }
+
+    showToast({
+      message: "Chat moved to trash",
+      actionLabel: "Undo",
+      onAction: () => handleRestoreChat(chatId),
+    });
+  };
+
+  // Reload the chat list and the trash
+  const refreshChats = async () => {
+    const [savedChats, trash] = await Promise.all([utils.getAllChats(), utils.getTrashedChats()]);
+    setChats(savedChats);
+    setTrashedChats(trash);
+  };
+
+  const handleExportChat = async (chatId, format) => {
+    try {
+      const fileName = await chatExportService.exportChat(chatId, format);
+      showToast({ message: `Exported ${fileName}` });
+    } catch (error) {
+      console.error("Export failed:", error);
+      showToast({ message: error.message });
     }
   };
 
-  const handleChatUpdate = () => {
+  const handleRestoreChat = async (chatId) => {
+    setToast(null);
+    await utils.restoreChat(chatId);
+    await refreshChats();
+    handleSelectChat(chatId);
+  };
+
+  // Permanent delete from the trash (one chat, or all of them when emptying it)
+  const handlePurgeChats = async (chatIds) => {
+    const question = chatIds.length === 1
+      ? "Delete this chat permanently? This action cannot be undone."
+      : `Permanently delete ${chatIds.length} chats in the trash? This action cannot be undone.`;
+    if (!window.confirm(question)) return;
+
+    await utils.purgeChats(chatIds);
+    await refreshChats();
+    chatRepository.getStorageStatus().then(setStorageStatus);
+  };
+
+  const handleRenameChat = async (chatId, title) => {
+    await utils.updateChatTitle(chatId, title);
+    setChats(await utils.getAllChats());
+  };
+
+  const handlePinChat = async (chatId, pinned) => {
+    await utils.setChatPinned(chatId, pinned);
+    setChats(await utils.getAllChats());
+  };
+
+  const handleArchiveChat = async (chatId, archived) => {
+    await utils.setChatArchived(chatId, archived);
+    const updatedChats = await utils.getAllChats();
+    setChats(updatedChats);
+
+    // Archiving the open chat moves on to the next one in the main list
+    if (archived && chatId === activeChatId) {
+      const nextChatId = updatedChats.find(c => !c.archived)?.id || null;
+      setActiveChatId(nextChatId);
+      utils.setActiveChatId(nextChatId);
+    }
+  };
+
+  const handleSetChatTags = async (chatId, tags) => {
+    await utils.setChatTags(chatId, tags);
+    setChats(await utils.getAllChats());
+  };
+
+  const handleChatUpdate = async () => {
     // Refresh chat list when messages are added
-    setChats(utils.getAllChats());
+    setChats(await utils.getAllChats());
+    chatRepository.getStorageStatus().then(setStorageStatus);
+  };
+
+  // Chats removed from Settings > Storage: reload the list and the active chat
+  const handleChatsCleanedUp = async () => {
+    await loadChats();
+    chatRepository.getStorageStatus().then(setStorageStatus);
   };
 
   return (
@@ -89,14 +249,16 @@ function App() {
           <div className="w-8 h-8 rounded-lg bg-white/20 flex items-center justify-center">
             {activeView === "chat" ? (
               <FiMessageCircle className="w-4 h-4 text-white" />
-            ) : (
+            ) : activeView === "tracking" ? (
               <FiActivity className="w-4 h-4 text-white" />
+            ) : (
+              <FiSettings className="w-4 h-4 text-white" />
             )}
           </div>
           <div>
             <h1 className="text-white font-semibold text-base">SalesHub AI</h1>
             <p className="text-white/70 text-xs">
-              {activeView === "chat" ? "Sales Assistant" : "Website Tracking"}
+              {activeView === "chat" ? "Sales Assistant" : activeView === "tracking" ? "Website Tracking" : "Settings"}
             </p>
           </div>
         </div>
@@ -135,12 +297,40 @@ function App() {
             <FiActivity className="w-4 h-4" />
             Tracking
           </button>
+          <button
+            onClick={() => setActiveView("settings")}
+            className={`flex items-center gap-1.5 px-4 py-2 rounded-md text-sm font-medium transition-all ${activeView === "settings"
+              ? "bg-white text-indigo-600 shadow-sm"
+              : "text-slate-600 hover:text-slate-800 hover:bg-slate-50"
+              }`}
+          >
+            <FiSettings className="w-4 h-4" />
+            Settings
+          </button>
         </div>
       </div>
 
       {/* Main Content */}
+      {activeView === "chat" && authUser && (storageStatus?.nearQuota || storageStatus?.exceeded) && !storageWarningDismissed && (
+        <StorageWarning
+          status={storageStatus}
+          onCleanUp={() => setActiveView("settings")}
+          onDismiss={() => setStorageWarningDismissed(true)}
+        />
+      )}
+
       <main className="flex-1 flex overflow-hidden">
-        {activeView === "chat" ? (
+        {activeView !== "settings" && !authUser ? (
+          /* Sign-in required for chat and tracking */
+          <div className="flex-1 overflow-hidden">
+            {authUser === null && (
+              <LoginScreen
+                sessionExpired={sessionExpired}
+                onOpenSettings={() => setActiveView("settings")}
+              />
+            )}
+          </div>
+        ) : activeView === "chat" ? (
           <>
             {/* Chat Sidebar */}
             {sidebarOpen && (
@@ -149,7 +339,16 @@ function App() {
                 activeChatId={activeChatId}
                 onSelectChat={handleSelectChat}
                 onNewChat={handleNewChat}
+                trashedChats={trashedChats}
                 onDeleteChat={handleDeleteChat}
+                onRestoreChat={handleRestoreChat}
+                onPurgeChats={handlePurgeChats}
+                onRenameChat={handleRenameChat}
+                onPinChat={handlePinChat}
+                onArchiveChat={handleArchiveChat}
+                onSetChatTags={handleSetChatTags}
+                onExportChat={handleExportChat}
+                onOpenSearchResult={handleOpenSearchResult}
                 isCollapsed={false}
                 onToggleCollapse={() => setSidebarOpen(false)}
               />
@@ -164,6 +363,9 @@ function App() {
                   hideHeader={true}
                   onChatUpdate={handleChatUpdate}
                   sidebarOpen={sidebarOpen}
+                  focusMessage={focusedMessage?.chatId === activeChatId ? focusedMessage : null}
+                  pendingAction={pendingChatAction?.chatId === activeChatId ? pendingChatAction : null}
+                  onPendingActionSent={() => setPendingChatAction(null)}
                 />
               ) : (
                 <div className="flex flex-col items-center justify-center h-full text-center px-8">
@@ -184,13 +386,27 @@ function App() {
               )}
             </div>
           </>
-        ) : (
+        ) : activeView === "tracking" ? (
           /* Tracking Dashboard */
           <div className="flex-1 overflow-hidden">
             <TrackingDashboard />
           </div>
+        ) : (
+          /* Settings */
+          <div className="flex-1 overflow-hidden">
+            <SettingsPanel onChatsCleanedUp={handleChatsCleanedUp} />
+          </div>
         )}
       </main>
+
+      {toast && (
+        <Toast
+          message={toast.message}
+          actionLabel={toast.actionLabel}
+          onAction={toast.onAction}
+          onDismiss={() => setToast(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { FiMessageCircle, FiAlertCircle } from 'react-icons/fi';
+import { authService } from '../../services/auth';
+import Input from '../Common/Input';
+import Button from '../Common/Button';
+
+const LoginScreen = ({ sessionExpired = false, onOpenSettings }) => {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!email.trim() || !password || loading) return;
+
+        setLoading(true);
+        setError(null);
+        try {
+            // App switches to the main UI on the 'signed_in' event
+            await authService.login(email.trim(), password);
+        } catch (err) {
+            setError(err.message);
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col items-center justify-center h-full px-8 bg-gradient-to-b from-slate-50 to-white">
+            <div className="w-16 h-16 rounded-2xl bg-gradient-to-br from-blue-600 via-indigo-600 to-purple-600 flex items-center justify-center shadow-lg shadow-blue-500/25 mb-4">
+                <FiMessageCircle className="w-8 h-8 text-white" />
+            </div>
+            <h3 className="text-xl font-bold text-slate-800 mb-1">Sign in to SalesHub AI</h3>
+            <p className="text-sm text-slate-500 mb-6 text-center">
+                {sessionExpired
+                    ? 'Your session has expired. Please sign in again.'
+                    : 'Your chats and tracking history follow your account.'}
+            </p>
+
+            <form onSubmit={handleSubmit} className="w-full max-w-xs space-y-3">
+                <Input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="Work email"
+                    autoComplete="email"
+                    autoFocus
+                    disabled={loading}
+                    className="text-sm"
+                />
+                <Input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password"
+                    autoComplete="current-password"
+                    disabled={loading}
+                    className="text-sm"
+                />
+
+                {error && (
+                    <p className="flex items-center gap-1.5 text-xs text-red-600">
+                        <FiAlertCircle className="w-3.5 h-3.5 flex-shrink-0" />
+                        {error}
+                    </p>
+                )}
+
+                <Button
+                    type="submit"
+                    fullWidth
+                    size="small"
+                    loading={loading}
+                    disabled={!email.trim() || !password}
+                >
+                    Sign in
+                </Button>
+            </form>
+
+            {onOpenSettings && (
+                <button
+                    onClick={onOpenSettings}
+                    className="mt-4 text-xs text-slate-400 hover:text-indigo-600 transition-colors"
+                >
+                    Backend settings
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default LoginScreen;
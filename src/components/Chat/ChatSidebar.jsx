@@ -1,26 +1,323 @@
-import React from 'react';
-import { FiPlus, FiMessageSquare, FiTrash2, FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+import React, { useState, useEffect } from 'react';
+import {
+    FiPlus, FiMessageSquare, FiTrash2, FiChevronLeft, FiChevronRight, FiSearch, FiX,
+    FiMoreVertical, FiEdit2, FiBookmark, FiArchive, FiTag, FiRotateCcw, FiDownload, FiChevronDown
+} from 'react-icons/fi';
 import { utils } from '../../services/api';
+import { chatSearchService } from '../../services/chatSearch';
+import { settingsService } from '../../services/settings';
+import { EXPORT_FORMATS } from '../../services/chatExport';
+
+const SEARCH_DEBOUNCE_MS = 250;
+const TAG_FILTER_PREFIX = 'tag:';
+
+const formatChatDate = (timestamp) => {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    const now = new Date();
+    const diffDays = Math.floor((now - date) / (1000 * 60 * 60 * 24));
+
+    if (diffDays === 0) return 'Today';
+    if (diffDays === 1) return 'Yesterday';
+    if (diffDays < 7) return `${diffDays} days ago`;
+    return date.toLocaleDateString();
+};
+
+// Chats shown for a filter: 'all', 'pinned', 'archived' or 'tag:<name>'.
+// Archived chats only appear under 'archived'; pinned ones come first.
+const filterChats = (chats, filter) => {
+    const tag = filter.startsWith(TAG_FILTER_PREFIX) ? filter.slice(TAG_FILTER_PREFIX.length).toLowerCase() : null;
+    return chats
+        .filter(chat => {
+            if (filter === 'archived') return !!chat.archived;
+            if (chat.archived) return false;
+            if (filter === 'pinned') return !!chat.pinned;
+            if (tag) return (chat.tags || []).some(chatTag => chatTag.toLowerCase() === tag);
+            return true;
+        })
+        .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0)); // Stable: keeps recency order within each group
+};
+
+const ChatListItem = ({
+    chat,
+    isActive,
+    isCollapsed,
+    onSelect,
+    onRename,
+    onPin,
+    onArchive,
+    onSetTags,
+    onExport,
+    onDelete,
+    onRestore,
+    onPurge
+}) => {
+    const [menuOpen, setMenuOpen] = useState(false);
+    const [exportOpen, setExportOpen] = useState(false); // Format list inside the menu
+    const [isRenaming, setIsRenaming] = useState(false);
+    const [isEditingTags, setIsEditingTags] = useState(false);
+    const [tagInput, setTagInput] = useState('');
+    const tags = chat.tags || [];
+
+    // Menu item handler: keep the click off the row and close the menu
+    const menuAction = (action) => (e) => {
+        e.stopPropagation();
+        setMenuOpen(false);
+        action();
+    };
+
+    const commitRename = (value) => {
+        if (!isRenaming) return;
+        setIsRenaming(false);
+        const title = value.trim();
+        if (title && title !== chat.title) onRename(chat.id, title);
+    };
+
+    const addTag = () => {
+        const tag = tagInput.trim();
+        setTagInput('');
+        if (tag) onSetTags(chat.id, [...tags, tag]);
+    };
+
+    const menuItemClass = 'w-full flex items-center gap-2 text-left px-3 py-1.5 hover:bg-slate-50';
+    const isTrashed = !!chat.deletedAt;
+
+    return (
+        <div>
+            <div
+                className={`group relative flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all duration-200 ${isActive
+                    ? 'bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-200/50 shadow-sm'
+                    : 'hover:bg-slate-50 border border-transparent'
+                    }`}
+                onClick={() => !isRenaming && !isTrashed && onSelect(chat.id)}
+                onMouseLeave={() => {
+                    setMenuOpen(false);
+                    setExportOpen(false);
+                }}
+                title={chat.title}
+            >
+                <div className={`flex-shrink-0 w-8 h-8 rounded-lg flex items-center justify-center ${isActive
+                    ? 'bg-gradient-to-br from-blue-600 to-indigo-600'
+                    : 'bg-slate-200'
+                    }`}>
+                    <FiMessageSquare className={`w-4 h-4 ${isActive ? 'text-white' : 'text-slate-500'
+                        }`} />
+                </div>
+
+                {!isCollapsed && (
+                    <>
+                        <div className="flex-1 min-w-0">
+                            {isRenaming ? (
+                                <input
+                                    type="text"
+                                    defaultValue={chat.title}
+                                    autoFocus
+                                    onFocus={(e) => e.target.select()}
+                                    onClick={(e) => e.stopPropagation()}
+                                    onBlur={(e) => commitRename(e.target.value)}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') commitRename(e.target.value);
+                                        if (e.key === 'Escape') setIsRenaming(false);
+                                    }}
+                                    className="w-full px-1.5 py-0.5 rounded border border-blue-300 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500/20"
+                                />
+                            ) : (
+                                <p className={`flex items-center gap-1 text-sm font-medium ${isActive ? 'text-blue-700' : 'text-slate-700'
+                                    }`}>
+                                    {chat.pinned && <FiBookmark className="w-3 h-3 flex-shrink-0 text-amber-500 fill-current" />}
+                                    <span className="truncate">{chat.title}</span>
+                                </p>
+                            )}
+                            <p className="text-xs text-slate-400 truncate">
+                                {isTrashed
+                                    ? `Deleted ${formatChatDate(chat.deletedAt).toLowerCase()}`
+                                    : formatChatDate(chat.updatedAt || chat.createdAt)}
+                            </p>
+                            {tags.length > 0 && (
+                                <div className="flex flex-wrap gap-1 mt-1">
+                                    {tags.map(tag => (
+                                        <span key={tag} className="max-w-full truncate px-1.5 py-0.5 rounded bg-slate-100 text-[10px] text-slate-500">
+                                            {tag}
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Chat actions */}
+                        <div className="relative flex-shrink-0">
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    setMenuOpen(!menuOpen);
+                                }}
+                                className={`${menuOpen ? 'opacity-100' : 'opacity-0'} group-hover:opacity-100 p-1.5 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-all duration-200`}
+                                title="Chat actions"
+                            >
+                                <FiMoreVertical className="w-3.5 h-3.5" />
+                            </button>
+                            {menuOpen && (
+                                <div className="absolute right-0 top-full z-20 w-36 py-1 rounded-lg bg-white border border-slate-200 shadow-lg text-xs text-slate-700">
+                                    {isTrashed ? (
+                                        <>
+                                            <button onClick={menuAction(() => onRestore(chat.id))} className={menuItemClass}>
+                                                <FiRotateCcw className="w-3 h-3" /> Restore
+                                            </button>
+                                            <button onClick={menuAction(() => onPurge([chat.id]))} className={`${menuItemClass} text-red-600`}>
+                                                <FiTrash2 className="w-3 h-3" /> Delete forever
+                                            </button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            {!chat.archived && (
+                                                <>
+                                                    <button onClick={menuAction(() => setIsRenaming(true))} className={menuItemClass}>
+                                                        <FiEdit2 className="w-3 h-3" /> Rename
+                                                    </button>
+                                                    <button onClick={menuAction(() => onPin(chat.id, !chat.pinned))} className={menuItemClass}>
+                                                        <FiBookmark className="w-3 h-3" /> {chat.pinned ? 'Unpin' : 'Pin'}
+                                                    </button>
+                                                    <button onClick={menuAction(() => setIsEditingTags(true))} className={menuItemClass}>
+                                                        <FiTag className="w-3 h-3" /> Tags
+                                                    </button>
+                                                </>
+                                            )}
+                                            <button
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    setExportOpen(!exportOpen);
+                                                }}
+                                                className={menuItemClass}
+                                            >
+                                                <FiDownload className="w-3 h-3" /> Export
+                                                <FiChevronDown className={`w-3 h-3 ml-auto transition-transform ${exportOpen ? 'rotate-180' : ''}`} />
+                                            </button>
+                                            {exportOpen && Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                                                <button
+                                                    key={format}
+                                                    onClick={menuAction(() => onExport(chat.id, format))}
+                                                    className={`${menuItemClass} pl-7 text-slate-500`}
+                                                >
+                                                    {label}
+                                                </button>
+                                            ))}
+                                            <button onClick={menuAction(() => onArchive(chat.id, !chat.archived))} className={menuItemClass}>
+                                                {chat.archived ? (
+                                                    <><FiRotateCcw className="w-3 h-3" /> Restore</>
+                                                ) : (
+                                                    <><FiArchive className="w-3 h-3" /> Archive</>
+                                                )}
+                                            </button>
+                                            <button onClick={menuAction(() => onDelete(chat.id))} className={`${menuItemClass} text-red-600`}>
+                                                <FiTrash2 className="w-3 h-3" /> Delete
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {/* Tag editor */}
+            {isEditingTags && !isCollapsed && (
+                <div className="mx-2 mt-1 mb-2 p-2 rounded-lg border border-slate-200 bg-slate-50">
+                    <div className="flex flex-wrap gap-1 mb-1.5">
+                        {tags.map(tag => (
+                            <span key={tag} className="flex items-center gap-0.5 max-w-full pl-1.5 pr-0.5 py-0.5 rounded bg-white border border-slate-200 text-[10px] text-slate-600">
+                                <span className="truncate">{tag}</span>
+                                <button
+                                    onClick={() => onSetTags(chat.id, tags.filter(t => t !== tag))}
+                                    className="p-0.5 rounded text-slate-400 hover:text-red-500"
+                                    title={`Remove "${tag}"`}
+                                >
+                                    <FiX className="w-2.5 h-2.5" />
+                                </button>
+                            </span>
+                        ))}
+                    </div>
+                    <input
+                        type="text"
+                        value={tagInput}
+                        list="chat-tag-suggestions"
+                        autoFocus
+                        onChange={(e) => setTagInput(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') addTag();
+                            if (e.key === 'Escape') setIsEditingTags(false);
+                        }}
+                        placeholder="Add tag, then Enter"
+                        className="w-full px-2 py-1 rounded border border-slate-200 bg-white text-xs text-slate-700 placeholder-slate-400 focus:outline-none focus:border-blue-500"
+                    />
+                    <button
+                        onClick={() => {
+                            addTag();
+                            setIsEditingTags(false);
+                        }}
+                        className="mt-1.5 w-full py-1 rounded text-xs font-medium text-blue-600 hover:bg-blue-50"
+                    >
+                        Done
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
 
 const ChatSidebar = ({
     chats,
+    trashedChats = [],
     activeChatId,
     onSelectChat,
     onNewChat,
     onDeleteChat,
+    onRenameChat,
+    onPinChat,
+    onArchiveChat,
+    onSetChatTags,
+    onExportChat,
+    onRestoreChat,
+    onPurgeChats,
+    onOpenSearchResult,
     isCollapsed,
     onToggleCollapse
 }) => {
-    const formatChatDate = (timestamp) => {
-        if (!timestamp) return '';
-        const date = new Date(timestamp);
-        const now = new Date();
-        const diffDays = Math.floor((now - date) / (1000 * 60 * 60 * 24));
-
-        if (diffDays === 0) return 'Today';
-        if (diffDays === 1) return 'Yesterday';
-        if (diffDays < 7) return `${diffDays} days ago`;
-        return date.toLocaleDateString();
+    const [searchQuery, setSearchQuery] = useState('');
+    const [searchResults, setSearchResults] = useState(null); // null while not searching
+    const [filter, setFilter] = useState('all');
+    const [trashRetentionDays, setTrashRetentionDays] = useState(null);
+
+    const tags = utils.getChatTags(chats);
+    // A tag filter falls back to all chats once no chat has that tag
+    const activeFilter = filter.startsWith(TAG_FILTER_PREFIX)
+        && !tags.some(tag => TAG_FILTER_PREFIX + tag.toLowerCase() === filter.toLowerCase())
+        ? 'all'
+        : filter;
+    const visibleChats = activeFilter === 'trash' ? trashedChats : filterChats(chats, activeFilter);
+
+    useEffect(() => {
+        settingsService.getPreference('trashRetentionDays').then(setTrashRetentionDays);
+    }, []);
+
+    // Search as the user types; re-run when chats change so results stay current
+    useEffect(() => {
+        if (!searchQuery.trim()) return;
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            chatSearchService.search(searchQuery).then(results => {
+                if (!cancelled) setSearchResults(results);
+            });
+        }, SEARCH_DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [searchQuery, chats]);
+
+    const handleSearchChange = (value) => {
+        setSearchQuery(value);
+        if (!value.trim()) setSearchResults(null);
     };
 
     return (
@@ -59,9 +356,121 @@ const ChatSidebar = ({
                 </button>
             </div>
 
+            {/* Search */}
+            {!isCollapsed && (
+                <div className="px-3 pb-3">
+                    <div className="relative">
+                        <FiSearch className="absolute left-2.5 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-slate-400" />
+                        <input
+                            type="text"
+                            value={searchQuery}
+                            onChange={(e) => handleSearchChange(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Escape' && handleSearchChange('')}
+                            placeholder="Search messages"
+                            className="w-full pl-8 pr-7 py-2 rounded-lg border border-slate-200 bg-slate-50 text-xs text-slate-700 placeholder-slate-400 focus:outline-none focus:bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 transition-all"
+                        />
+                        {searchQuery && (
+                            <button
+                                onClick={() => handleSearchChange('')}
+                                className="absolute right-1.5 top-1/2 -translate-y-1/2 p-1 rounded text-slate-400 hover:text-slate-600"
+                                title="Clear search"
+                            >
+                                <FiX className="w-3 h-3" />
+                            </button>
+                        )}
+                    </div>
+                    {!searchQuery.trim() && (chats.length > 0 || trashedChats.length > 0) && (
+                        <select
+                            value={activeFilter}
+                            onChange={(e) => setFilter(e.target.value)}
+                            className="mt-2 w-full px-2 py-1.5 rounded-lg border border-slate-200 bg-white text-xs text-slate-600 focus:outline-none focus:border-blue-500"
+                            title="Filter conversations"
+                        >
+                            <option value="all">All chats</option>
+                            <option value="pinned">Pinned</option>
+                            {tags.map(tag => (
+                                <option key={tag} value={TAG_FILTER_PREFIX + tag}>Tag: {tag}</option>
+                            ))}
+                            <option value="archived">Archived</option>
+                            <option value="trash">Trash ({trashedChats.length})</option>
+                        </select>
+                    )}
+                </div>
+            )}
+
             {/* Chat List */}
             <div className="flex-1 overflow-y-auto px-2 pb-4 custom-scrollbar">
-                {chats.length === 0 ? (
+                {searchQuery.trim() && !isCollapsed ? (
+                    searchResults === null ? (
+                        <p className="text-xs text-slate-400 text-center py-6">Searching...</p>
+                    ) : searchResults.length === 0 ? (
+                        <div className="text-center py-8 px-2">
+                            <p className="text-sm text-slate-500">No matches</p>
+                            <p className="text-xs text-slate-400 mt-1">Try fewer or shorter words</p>
+                        </div>
+                    ) : (
+                        <div className="space-y-1">
+                            {searchResults.map((result) => (
+                                <button
+                                    key={`${result.chatId}:${result.message.id}`}
+                                    onClick={() => onOpenSearchResult(result.chatId, result.message.id)}
+                                    className={`w-full text-left px-3 py-2 rounded-xl border transition-all duration-200 ${activeChatId === result.chatId
+                                        ? 'bg-blue-50/60 border-blue-200/50'
+                                        : 'hover:bg-slate-50 border-transparent'
+                                        }`}
+                                >
+                                    <p className="text-xs font-medium text-slate-700 truncate">{result.chatTitle}</p>
+                                    <p className="text-xs text-slate-500 leading-snug mt-0.5 line-clamp-3 break-words">
+                                        {result.snippet.map((segment, index) => segment.match ? (
+                                            <mark key={index} className="bg-amber-200/80 text-slate-800 rounded-sm px-0.5">{segment.text}</mark>
+                                        ) : (
+                                            <span key={index}>{segment.text}</span>
+                                        ))}
+                                    </p>
+                                    <p className="text-[11px] text-slate-400 mt-0.5">
+                                        {result.message.type === 'user' ? 'You' : 'AI'} · {formatChatDate(result.message.timestamp)}
+                                    </p>
+                                </button>
+                            ))}
+                        </div>
+                    )
+                ) : activeFilter === 'trash' ? (
+                    !isCollapsed && (
+                        <>
+                            <div className="flex items-center justify-between gap-2 px-2 pb-2">
+                                <p className="text-[11px] text-slate-400 leading-snug">
+                                    {trashRetentionDays
+                                        ? `Deleted for good after ${trashRetentionDays} days`
+                                        : 'Deleted chats can be restored'}
+                                </p>
+                                {trashedChats.length > 0 && (
+                                    <button
+                                        onClick={() => onPurgeChats(trashedChats.map(chat => chat.id))}
+                                        className="flex-shrink-0 px-2 py-1 rounded-md text-[11px] font-medium text-red-600 hover:bg-red-50 transition-colors"
+                                    >
+                                        Empty trash
+                                    </button>
+                                )}
+                            </div>
+                            {trashedChats.length === 0 ? (
+                                <p className="text-xs text-slate-400 text-center py-6 px-2">Trash is empty</p>
+                            ) : (
+                                <div className="space-y-1">
+                                    {trashedChats.map((chat) => (
+                                        <ChatListItem
+                                            key={chat.id}
+                                            chat={chat}
+                                            isActive={false}
+                                            isCollapsed={isCollapsed}
+                                            onRestore={onRestoreChat}
+                                            onPurge={onPurgeChats}
+                                        />
+                                    ))}
+                                </div>
+                            )}
+                        </>
+                    )
+                ) : chats.length === 0 ? (
                     !isCollapsed && (
                         <div className="text-center py-8 px-4">
                             <div className="w-12 h-12 mx-auto mb-3 rounded-xl bg-slate-100 flex items-center justify-center">
@@ -71,62 +480,45 @@ const ChatSidebar = ({
                             <p className="text-xs text-slate-400 mt-1">Start a new chat to begin</p>
                         </div>
                     )
+                ) : visibleChats.length === 0 ? (
+                    !isCollapsed && (
+                        <p className="text-xs text-slate-400 text-center py-6 px-2">
+                            {activeFilter === 'archived' ? 'No archived chats' : 'No chats match this filter'}
+                        </p>
+                    )
                 ) : (
                     <div className="space-y-1">
-                        {chats.map((chat) => (
-                            <div
+                        {visibleChats.map((chat) => (
+                            <ChatListItem
                                 key={chat.id}
-                                className={`group relative flex items-center gap-2 px-3 py-2.5 rounded-xl cursor-pointer transition-all duration-200 ${activeChatId === chat.id
-                                    ? 'bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-200/50 shadow-sm'
-                                    : 'hover:bg-slate-50 border border-transparent'
-                                    }`}
-                                onClick={() => onSelectChat(chat.id)}
-                                title={chat.title}
-                            >
-                                <div className={`flex-shrink-0 w-8 h-8 rounded-lg flex items-center justify-center ${activeChatId === chat.id
-                                    ? 'bg-gradient-to-br from-blue-600 to-indigo-600'
-                                    : 'bg-slate-200'
-                                    }`}>
-                                    <FiMessageSquare className={`w-4 h-4 ${activeChatId === chat.id ? 'text-white' : 'text-slate-500'
-                                        }`} />
-                                </div>
-
-                                {!isCollapsed && (
-                                    <>
-                                        <div className="flex-1 min-w-0">
-                                            <p className={`text-sm font-medium truncate ${activeChatId === chat.id ? 'text-blue-700' : 'text-slate-700'
-                                                }`}>
-                                                {chat.title}
-                                            </p>
-                                            <p className="text-xs text-slate-400 truncate">
-                                                {formatChatDate(chat.updatedAt || chat.createdAt)}
-                                            </p>
-                                        </div>
-
-                                        {/* Delete Button */}
-                                        <button
-                                            onClick={(e) => {
-                                                e.stopPropagation();
-                                                onDeleteChat(chat.id);
-                                            }}
-                                            className="opacity-0 group-hover:opacity-100 p-1.5 rounded-lg hover:bg-red-50 text-slate-400 hover:text-red-500 transition-all duration-200"
-                                            title="Delete chat"
-                                        >
-                                            <FiTrash2 className="w-3.5 h-3.5" />
-                                        </button>
-                                    </>
-                                )}
-                            </div>
+                                chat={chat}
+                                isActive={activeChatId === chat.id}
+                                isCollapsed={isCollapsed}
+                                onSelect={onSelectChat}
+                                onRename={onRenameChat}
+                                onPin={onPinChat}
+                                onArchive={onArchiveChat}
+                                onSetTags={onSetChatTags}
+                                onExport={onExportChat}
+                                onDelete={onDeleteChat}
+                            />
                         ))}
                     </div>
                 )}
+                <datalist id="chat-tag-suggestions">
+                    {tags.map(tag => <option key={tag} value={tag} />)}
+                </datalist>
             </div>
 
             {/* Footer */}
             {!isCollapsed && (
                 <div className="px-4 py-3 border-t border-slate-100">
                     <p className="text-xs text-slate-400 text-center">
-                        {chats.length} conversation{chats.length !== 1 ? 's' : ''}
+                        {searchQuery.trim() && searchResults
+                            ? `${searchResults.length} match${searchResults.length !== 1 ? 'es' : ''}`
+                            : activeFilter === 'archived' || activeFilter === 'trash'
+                                ? `${visibleChats.length} ${activeFilter === 'trash' ? 'in trash' : 'archived'}`
+                                : `${visibleChats.length} conversation${visibleChats.length !== 1 ? 's' : ''}`}
                     </p>
                 </div>
             )}
@@ -1,9 +1,19 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
 import { chatService, utils } from '../../services/api';
+import { settingsService } from '../../services/settings';
 import { useHubSpotContext } from '../../hooks/useHubSpotContext';
 import Button from '../Common/Button';
-import Input from '../Common/Input';
-import { FiSend, FiUser, FiMessageSquare, FiZap, FiCopy, FiCheck, FiRefreshCw, FiTarget } from 'react-icons/fi';
+import Textarea from '../Common/Textarea';
+import MarkdownMessage from './MarkdownMessage';
+import { clipboardService } from '../../services/clipboard';
+import { chatTurnService } from '../../services/chatTurns';
+import { chatBranchService } from '../../services/chatBranches';
+import { feedbackService, FEEDBACK_REASONS } from '../../services/feedback';
+import { promptTemplateService } from '../../services/promptTemplates';
+import { slashCommandService } from '../../services/slashCommands';
+import { pageContextService } from '../../services/pageContext';
+import { contextActionService } from '../../services/contextActions';
+import { FiSend, FiUser, FiMessageSquare, FiZap, FiCopy, FiCheck, FiTarget, FiSquare, FiRefreshCw, FiEdit2, FiChevronLeft, FiChevronRight, FiThumbsUp, FiThumbsDown, FiGlobe, FiX } from 'react-icons/fi';
 
 // Sales-focused example prompts
 const EXAMPLE_PROMPTS = [
@@ -15,49 +25,160 @@ const EXAMPLE_PROMPTS = [
   { emoji: "🔥", text: "Re-engage cold lead", category: "Follow-up" }
 ];
 
-const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sidebarOpen = false }) => {
-  const [messages, setMessages] = useState([]);
+// Local message IDs are random, so messages created in the same millisecond can't collide
+const createMessageId = () => crypto.randomUUID();
+
+const MAX_MESSAGE_LENGTH = 2000;
+const LENGTH_WARNING_AT = 1800; // Counter turns amber from here
+
+const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sidebarOpen = false, focusMessage = null, pendingAction = null, onPendingActionSent }) => {
+  const [messages, setMessages] = useState([]); // Every branch; the selected path is rendered
+  const [loadedChatId, setLoadedChatId] = useState(null); // Chat whose messages are in `messages`
+  const [branchSelections, setBranchSelections] = useState({});
+  const [editing, setEditing] = useState(null); // { id, text } of the user message being edited
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [isTyping, setIsTyping] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('checking');
   const [copiedId, setCopiedId] = useState(null);
+  const [copyMenuId, setCopyMenuId] = useState(null);
+  const [reasonMenuId, setReasonMenuId] = useState(null); // Reply whose thumbs-down reasons are open
   const [rateLimit, setRateLimit] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [templatePrompts, setTemplatePrompts] = useState('extend'); // Templates 'extend' or 'replace' the prompt grid
+  const [templateFill, setTemplateFill] = useState(null); // { template, missing, answers } awaiting placeholder values
+  const [commandIndex, setCommandIndex] = useState(0); // Highlighted slash command suggestion
+  const [commandMenuDismissed, setCommandMenuDismissed] = useState(false);
+  const [composerError, setComposerError] = useState(null); // Bad slash command or over-long message
+  const [pageContext, setPageContext] = useState(null); // Active tab context attached to the next message
+  const [pageContextLoading, setPageContextLoading] = useState(false);
   const messagesEndRef = useRef(null);
+  const messageListRef = useRef(null);
+  const scrolledFocusRef = useRef(null); // Last focusMessage brought into view
   const inputRef = useRef(null);
+  const activeTurnIdRef = useRef(null); // Turn awaiting its reply, for the Stop button
+  const messageBodyRefs = useRef({}); // Rendered Markdown per message, for rich-text copy
 
-  // Get HubSpot deal context
-  const { dealId, deal, dynamicPrompts, isHubSpotDeal, hasDealId, dealName, dealStage, loading: hubspotLoading, fetchDeal, error: hubspotError } = useHubSpotContext();
+  // Get HubSpot record context (contact, company, deal or ticket)
+  const { record: hubspotRecord, recordType, recordData, recordLabel, recordName, dynamicPrompts, isHubSpotRecord, hasRecord, dealStage, loading: hubspotLoading, fetchRecord, error: hubspotError } = useHubSpotContext();
 
-  // Use dynamic prompts if deal is fetched, otherwise fall back to defaults
-  const activePrompts = isHubSpotDeal ? dynamicPrompts : EXAMPLE_PROMPTS;
+  // Use dynamic prompts if record is fetched, otherwise fall back to defaults
+  const activePrompts = isHubSpotRecord ? dynamicPrompts : EXAMPLE_PROMPTS;
 
-  useEffect(() => {
-    testConnection();
-  }, []);
+  // The user's templates go first in the grid, alongside or instead of the suggestions
+  const templatePromptItems = templates.map(template => ({
+    emoji: template.emoji,
+    text: template.title,
+    category: template.category || 'Template',
+    template,
+  }));
+  const gridPrompts = templatePromptItems.length > 0 && templatePrompts === 'replace'
+    ? templatePromptItems
+    : [...templatePromptItems, ...activePrompts];
 
-  // Load messages when chatId changes
-  useEffect(() => {
-    if (chatId) {
-      const chatMessages = utils.getChatMessages(chatId);
-      setMessages(chatMessages);
-    } else {
-      setMessages([]);
+  // Reflect a chat turn's progress in the message list
+  // (an effect event: always sees the latest props without resubscribing)
+  const applyTurn = useEffectEvent((turn) => {
+    // Streamed text is rendered into a placeholder bubble keyed by the turn
+    const placeholderId = turn.turnId;
+
+    if (turn.status === 'pending' || turn.status === 'streaming') {
+      activeTurnIdRef.current = turn.turnId;
+      setLoading(true);
+      setIsTyping(turn.status === 'pending');
+      if (turn.status === 'streaming') {
+        setMessages(prev => prev.some(m => m.id === placeholderId)
+          ? prev.map(m => m.id === placeholderId ? { ...m, message: turn.text } : m)
+          : [...prev, {
+            id: placeholderId,
+            type: 'assistant',
+            message: turn.text,
+            timestamp: new Date(turn.startedAt || Date.now()).toISOString(),
+            parentId: turn.userMessageId,
+            isStreaming: true,
+          }]
+        );
+      }
+      return;
     }
-  }, [chatId]);
 
-  useEffect(() => {
-    scrollToBottom();
-  }, [messages, isTyping]);
+    if (activeTurnIdRef.current === turn.turnId) {
+      activeTurnIdRef.current = null;
+      setLoading(false);
+      setIsTyping(false);
+    }
 
-  const testConnection = async () => {
-    try {
-      const result = await chatService.testConnection();
-      setConnectionStatus(result.gemini_available ? 'connected' : 'api_key_missing');
-    } catch (error) {
-      setConnectionStatus('disconnected');
+    if (turn.status === 'done') {
+      // Update rate limit info if available
+      if (turn.rateLimit) {
+        setRateLimit(turn.rateLimit);
+      }
+      setMessages(prev => [
+        ...prev.filter(m => m.id !== placeholderId && m.id !== turn.message.id),
+        turn.message,
+      ]);
+      if (!turn.persisted) {
+        // The background couldn't write the chat database - save it from here
+        utils.saveMessageToChat(turn.chatId, turn.message)
+          .catch(error => console.error('Failed to save message:', error));
+        chatTurnService.acknowledge(turn.turnId);
+      }
+
+      // Notify parent to refresh chat list
+      if (onChatUpdate) onChatUpdate();
+    } else if (turn.status === 'error') {
+      const errorMessage = {
+        id: turn.turnId,
+        type: 'assistant',
+        message: turn.error,
+        timestamp: new Date(turn.updatedAt || Date.now()).toISOString(),
+        parentId: turn.userMessageId,
+        isError: true,
+      };
+      setMessages(prev => [...prev.filter(m => m.id !== placeholderId), errorMessage]);
+      chatTurnService.acknowledge(turn.turnId);
     }
-  };
+  });
+
+  // Load messages when chatId changes and follow this chat's turns - including
+  // ones still running (or finished unsaved) from before the popup was reopened.
+  // The subscription starts first so no update falls between the load and it;
+  // updates that arrive during the load are applied once the messages are in
+  useEffect(() => {
+    let cancelled = false;
+    let bufferedTurns = [];
+    const unsubscribe = chatId
+      ? chatTurnService.subscribe(turn => {
+        if (turn.chatId !== chatId) return;
+        if (bufferedTurns) bufferedTurns.push(turn);
+        else applyTurn(turn);
+      })
+      : null;
+    const loadChat = chatId
+      ? Promise.all([utils.getChatMessages(chatId), utils.getChatById(chatId)])
+      : Promise.resolve([[], null]);
+    loadChat.then(([chatMessages, chat]) => {
+      if (cancelled) return;
+      setMessages(chatMessages);
+      setBranchSelections(chat?.branchSelections || {});
+      setEditing(null);
+      // Whatever was typed here before the popup closed or the chat was switched
+      setInput(chatId ? utils.getDraft(chatId) : '');
+      setComposerError(null);
+      setLoadedChatId(chatId);
+      const pendingTurns = bufferedTurns;
+      bufferedTurns = null;
+      pendingTurns.forEach(turn => applyTurn(turn));
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+      // A running turn keeps going in the background; the next chat starts idle
+      activeTurnIdRef.current = null;
+      setLoading(false);
+      setIsTyping(false);
+    };
+  }, [chatId]);
 
   const loadChatHistory = async () => {
     try {
@@ -74,80 +195,359 @@ const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sid
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const handleSend = async (e) => {
-    e?.preventDefault();
-    if (!input.trim() || loading || !chatId) return;
+  useEffect(() => {
+    chatService.testConnection()
+      .then(result => setConnectionStatus(result.gemini_available ? 'connected' : 'api_key_missing'))
+      .catch(() => setConnectionStatus('disconnected'));
+  }, []);
+
+  useEffect(() => {
+    scrollToBottom();
+  }, [messages, isTyping]);
+
+  useEffect(() => {
+    promptTemplateService.getTemplates().then(setTemplates);
+    return promptTemplateService.subscribe(setTemplates);
+  }, []);
 
+  useEffect(() => {
+    const applySettings = (settings) => setTemplatePrompts(settings.preferences.templatePrompts);
+    settingsService.getSettings().then(applySettings);
+    return settingsService.subscribe(applySettings);
+  }, []);
+
+  // A search hit on a branch that isn't shown: select the path that leads to it
+  const showFocusedBranch = useEffectEvent((messageId) => {
+    const selections = chatBranchService.getSelectionsFor(messages, messageId);
+    const changed = Object.entries(selections || {})
+      .filter(([key, id]) => String(branchSelections[key]) !== String(id));
+    if (changed.length === 0) return;
+    setBranchSelections(current => ({ ...current, ...Object.fromEntries(changed) }));
+    changed.forEach(([key, id]) => {
+      utils.selectBranch(chatId, key, id)
+        .catch(error => console.error('Failed to save branch selection:', error));
+    });
+  });
+
+  // A message opened from sidebar search: scroll it into view once it has loaded
+  // (after the scroll to bottom above, so it wins)
+  useEffect(() => {
+    if (!focusMessage || scrolledFocusRef.current === focusMessage) return;
+    const element = messageListRef.current?.querySelector(`[data-message-id="${CSS.escape(String(focusMessage.messageId))}"]`);
+    if (!element) {
+      showFocusedBranch(focusMessage.messageId);
+      return;
+    }
+    scrolledFocusRef.current = focusMessage;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [messages, branchSelections, focusMessage]);
+
+  // The selected path through the chat's branches, as shown
+  const thread = chatBranchService.getActiveThread(messages, branchSelections);
+
+  // Start a new user message after `parentId` (null for the first one); unsaved
+  // error bubbles are dropped so they don't linger as branches
+  const addUserMessage = (text, parentId, metadata = null, attachedContext = null) => {
     const userMessage = {
-      id: Date.now(),
+      id: createMessageId(),
       type: 'user',
-      message: input.trim(),
+      message: text,
       timestamp: new Date().toISOString(),
+      parentId,
+      ...(metadata && { metadata }),
+      ...(attachedContext && { pageContext: attachedContext }),
     };
+    setMessages(prev => [...prev.filter(m => !m.isError), userMessage]);
+    return userMessage;
+  };
+
+  // Show a fork's newest sibling again, so a branch being added is the one in view
+  const showNewestBranch = async (branchKey) => {
+    setBranchSelections(current => {
+      const next = { ...current };
+      delete next[branchKey];
+      return next;
+    });
+    try {
+      await utils.selectBranch(chatId, branchKey, null);
+    } catch (error) {
+      console.error('Failed to save branch selection:', error);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e?.preventDefault();
+    if (!input.trim() || loading || !chatId) return;
+
+    // A slash command sends its expanded prompt, with its metadata for the backend
+    const command = slashCommandService.expand(input, { hubspotRecord, recordName, templates });
+    if (command?.error) {
+      setComposerError(command.error);
+      return;
+    }
+    if (command?.template) {
+      handleInputChange('');
+      applyTemplate(command.template);
+      return;
+    }
+    const text = command ? command.text : input.trim();
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      setComposerError(`Messages can be at most ${MAX_MESSAGE_LENGTH} characters`);
+      return;
+    }
 
-    // Save user message to current chat
-    utils.saveMessageToChat(chatId, userMessage);
-    setMessages(prev => [...prev, userMessage]);
-    setInput('');
+    handleInputChange('');
+    setPageContext(null);
+    await sendUserMessage(text, command?.metadata, pageContext);
+  };
+
+  // Send a new message at the end of the thread and ask for its reply
+  const sendUserMessage = async (text, metadata = null, attachedContext = null) => {
+    const lastMessage = thread.filter(m => !m.isError && !m.isStreaming).at(-1);
     setLoading(true);
     setIsTyping(true);
+    const userMessage = addUserMessage(
+      text,
+      lastMessage ? lastMessage.id : null,
+      metadata,
+      attachedContext
+    );
 
-    // Notify parent to refresh chat list
-    if (onChatUpdate) onChatUpdate();
+    // Prior turns of the thread on screen, captured before the new message is stored
+    await requestReply(userMessage, () => utils.getConversationContext(chatId, { branchSelections }), { isNew: true });
+  };
 
-    try {
-      // Pass HubSpot deal ID if available for context-aware responses
-      const response = await chatService.sendMessage(userMessage.message, dealId);
+  // Replace a user message with an edited copy on a new branch, and answer that
+  const handleEditSubmit = async (msg, index) => {
+    const text = editing?.text.trim();
+    setEditing(null);
+    if (!text || text === msg.message || loading || !chatId) return;
 
-      // Update rate limit info if available
-      if (response.rate_limit) {
-        setRateLimit(response.rate_limit);
-      }
+    const parentId = index > 0 ? thread[index - 1].id : null;
+    setLoading(true);
+    setIsTyping(true);
+    const userMessage = addUserMessage(text, parentId, msg.metadata, msg.pageContext);
+    await showNewestBranch(chatBranchService.getBranchKey(parentId));
 
-      const aiMessage = {
-        id: response.message_id || Date.now() + 1,
-        type: 'assistant',
-        message: response.response,
-        timestamp: response.timestamp || new Date().toISOString(),
-      };
+    await requestReply(
+      userMessage,
+      () => utils.getConversationContext(chatId, { afterMessageId: parentId, branchSelections }),
+      { isNew: true }
+    );
+  };
 
-      // Save AI response to current chat
-      utils.saveMessageToChat(chatId, aiMessage);
-      setMessages(prev => [...prev, aiMessage]);
+  // Ask again for the reply at `index`; the new answer becomes a sibling branch
+  const handleRegenerate = async (index) => {
+    const userMessage = thread[index - 1];
+    if (loading || !chatId || userMessage?.type !== 'user') return;
 
-      // Notify parent to refresh chat list
-      if (onChatUpdate) onChatUpdate();
+    setLoading(true);
+    setIsTyping(true);
+    setMessages(prev => prev.filter(m => !m.isError));
+    await showNewestBranch(chatBranchService.getBranchKey(userMessage.id));
+
+    await requestReply(userMessage, () => utils.getConversationContext(chatId, {
+      afterMessageId: index > 1 ? thread[index - 2].id : null,
+      branchSelections,
+    }));
+  };
+
+  const handleSelectBranch = (branch, offset) => {
+    const messageId = branch.siblingIds[branch.index + offset];
+    if (messageId === undefined) return;
+    setBranchSelections(current => ({ ...current, [branch.key]: messageId }));
+    utils.selectBranch(chatId, branch.key, messageId)
+      .catch(error => console.error('Failed to save branch selection:', error));
+  };
+
+  // A context menu action on selected text, sent once its chat has loaded and is idle
+  const sendPendingAction = useEffectEvent((action) => {
+    const { text, metadata, pageContext: attachedContext } = contextActionService.toMessage(action);
+    if (onPendingActionSent) onPendingActionSent(action);
+    sendUserMessage(text, metadata, attachedContext);
+  });
+
+  useEffect(() => {
+    if (pendingAction && loadedChatId === chatId && !loading) {
+      sendPendingAction(pendingAction);
+    }
+  }, [pendingAction, loadedChatId, chatId, loading]);
+
+  // Attach the active tab's title, URL and selection (or main text) to the next message,
+  // or remove the attachment
+  const togglePageContext = async () => {
+    if (pageContext) {
+      setPageContext(null);
+      return;
+    }
+    setPageContextLoading(true);
+    try {
+      setPageContext(await pageContextService.getActivePageContext());
+      setComposerError(null);
+    } catch (error) {
+      setComposerError(error.message);
+    } finally {
+      setPageContextLoading(false);
+    }
+  };
+
+  // Ask for the reply to a user message. `loadConversation` reads the turns before it;
+  // an `isNew` message is saved once they're read. Any failure ends in an error bubble
+  const requestReply = async (userMessage, loadConversation, { isNew = false } = {}) => {
+    try {
+      const conversation = await loadConversation();
+      if (isNew) {
+        // Save user message to current chat (a full storage shows the quota warning)
+        await persistMessage(userMessage);
+        // Notify parent to refresh chat list
+        if (onChatUpdate) onChatUpdate();
+      }
+
+      // Pass the HubSpot record if available for context-aware responses.
+      // The reply is fetched and saved by the background worker; progress arrives in applyTurn
+      const streamResponses = await settingsService.getPreference('streamResponses');
+      // Known before the worker accepts the turn, so Stop works right away
+      const turnId = chatTurnService.createTurnId();
+      activeTurnIdRef.current = turnId;
+      await chatTurnService.send({
+        turnId,
+        chatId,
+        userMessageId: userMessage.id,
+        message: pageContextService.toPrompt(userMessage.message, userMessage.pageContext),
+        hubspotRecord: namedRecord(),
+        conversation,
+        metadata: userMessage.metadata,
+        stream: streamResponses,
+      });
     } catch (error) {
       console.error('Chat error:', error);
       const errorMessage = {
-        id: Date.now() + 1,
+        id: createMessageId(),
         type: 'assistant',
         message: 'Sorry, I encountered an error. Please try again.',
         timestamp: new Date().toISOString(),
+        parentId: userMessage.id,
         isError: true,
       };
       setMessages(prev => [...prev, errorMessage]);
-    } finally {
+      activeTurnIdRef.current = null;
       setLoading(false);
       setIsTyping(false);
     }
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
+  // The record's display name goes along so the chat and exports can name the deal
+  const namedRecord = () => (hubspotRecord && recordName ? { ...hubspotRecord, name: recordName } : hubspotRecord);
+
+  const persistMessage = async (message) => {
+    try {
+      await utils.saveMessageToChat(chatId, message, namedRecord());
+    } catch (error) {
+      console.error('Failed to save message:', error);
+    }
+  };
+
+  // Thumbs up/down (reason is optional, offered after a thumbs-down)
+  const handleRate = async (msg, rating, reason = null) => {
+    setReasonMenuId(rating === 'down' && !reason ? msg.id : null);
+    setMessages(prev => prev.map(m => m.id === msg.id ? { ...m, feedback: { rating, reason } } : m));
+    try {
+      await feedbackService.rateMessage(chatId, msg.id, { rating, reason });
+    } catch (error) {
+      console.error('Failed to send feedback:', error);
+    }
+  };
+
+  const handleStop = () => {
+    if (activeTurnIdRef.current) {
+      chatTurnService.stop(activeTurnIdRef.current);
+    }
+  };
+
+  // Slash command autocomplete for what's typed so far
+  const commandSuggestions = commandMenuDismissed ? [] : slashCommandService.getSuggestions(input, templates);
+  const highlightedCommand = Math.min(commandIndex, commandSuggestions.length - 1);
+  const commandHint = commandSuggestions.length === 0 ? slashCommandService.getArgumentHint(input) : null;
+
+  // Every composer change goes through here so the chat's draft stays current
+  const handleInputChange = (value) => {
+    setInput(value);
+    if (chatId) utils.saveDraft(chatId, value);
+    setCommandIndex(0);
+    setCommandMenuDismissed(false);
+    setComposerError(null);
+  };
+
+  const pickCommandSuggestion = (suggestion) => {
+    if (suggestion.template) {
+      handleInputChange('');
+      applyTemplate(suggestion.template);
+      return;
+    }
+    handleInputChange(suggestion.value);
+    inputRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (commandSuggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setCommandIndex((highlightedCommand + step + commandSuggestions.length) % commandSuggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        pickCommandSuggestion(commandSuggestions[highlightedCommand]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setCommandMenuDismissed(true);
+        return;
+      }
+    }
+    // Shift+Enter inserts a newline; Enter while an IME is composing confirms the text
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
       e.preventDefault();
       handleSend(e);
     }
   };
 
-  const handlePromptClick = (text) => {
-    setInput(text);
+  const handlePromptClick = (prompt) => {
+    if (prompt.template) {
+      applyTemplate(prompt.template);
+      return;
+    }
+    handleInputChange(prompt.text);
     inputRef.current?.focus();
   };
 
-  const copyToClipboard = async (text, id) => {
+  // Put a template in the composer with its placeholders filled from the loaded
+  // HubSpot record and `answers`; asks for whatever is still missing first
+  const applyTemplate = (template, answers = {}) => {
+    const values = promptTemplateService.getRecordValues(recordType, recordData, recordName);
+    const { text, missing } = promptTemplateService.fillTemplate(template.text, values, answers);
+    if (missing.length > 0) {
+      setTemplateFill({ template, missing, answers });
+      return;
+    }
+    setTemplateFill(null);
+    handleInputChange(text);
+    inputRef.current?.focus();
+  };
+
+  // format: 'plain' pastes as readable text, 'rich' keeps lists/bold/tables in Gmail and HubSpot
+  const copyToClipboard = async (msg, id, format) => {
+    setCopyMenuId(null);
+    const element = messageBodyRefs.current[id];
     try {
-      await navigator.clipboard.writeText(text);
+      if (!element) {
+        await clipboardService.copyText(msg.message);
+      } else if (format === 'rich') {
+        await clipboardService.copyElementAsRichText(element);
+      } else {
+        await clipboardService.copyElementAsPlainText(element);
+      }
       setCopiedId(id);
       setTimeout(() => setCopiedId(null), 2000);
     } catch (err) {
@@ -217,7 +617,7 @@ const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sid
       {/* Messages */}
       <div className="flex-1 overflow-hidden">
         <div className="h-full overflow-y-auto scroll-smooth px-5 py-4" style={{ scrollbarWidth: 'thin', scrollbarColor: '#cbd5e1 transparent' }}>
-          {messages.length === 0 ? (
+          {thread.length === 0 ? (
             <div className="flex flex-col items-center justify-center h-full text-center px-4">
               {/* Hero Section */}
               <div className="relative mb-8">
@@ -254,16 +654,16 @@ const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sid
 
               {connectionStatus === 'connected' && (
                 <div className="w-full max-w-lg">
-                  {/* HubSpot Deal Detection - Show fetch button first */}
-                  {hasDealId && !isHubSpotDeal && (
+                  {/* HubSpot Record Detection - Show fetch button first */}
+                  {hasRecord && !isHubSpotRecord && (
                     <div className="mb-4 p-4 bg-gradient-to-r from-orange-50 to-amber-50 rounded-xl border border-orange-200">
                       <div className="flex items-center justify-between">
                         <div className="flex items-center gap-2">
                           <FiTarget className="w-5 h-5 text-orange-600" />
-                          <span className="text-sm font-medium text-orange-800">HubSpot Deal Detected</span>
+                          <span className="text-sm font-medium text-orange-800">HubSpot {recordLabel} Detected</span>
                         </div>
                         <button
-                          onClick={fetchDeal}
+                          onClick={fetchRecord}
                           disabled={hubspotLoading}
                           className="px-4 py-1.5 bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                         >
@@ -273,7 +673,7 @@ const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sid
                               Fetching...
                             </>
                           ) : (
-                            'Fetch Deal'
+                            `Fetch ${recordLabel}`
                           )}
                         </button>
                       </div>
@@ -283,32 +683,32 @@ const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sid
                         </p>
                       )}
                       <p className="text-xs text-orange-600 mt-2">
-                        Click "Fetch Deal" to load deal context and get relevant prompts
+                        Click "Fetch {recordLabel}" to load {recordLabel.toLowerCase()} context and get relevant prompts
                       </p>
                     </div>
                   )}
 
-                  {/* HubSpot Deal Loaded - Show deal info */}
-                  {isHubSpotDeal && (
+                  {/* HubSpot Record Loaded - Show record info */}
+                  {isHubSpotRecord && (
                     <div className="mb-4 p-3 bg-gradient-to-r from-green-50 to-emerald-50 rounded-xl border border-green-200">
                       <div className="flex items-center gap-2">
                         <FiTarget className="w-4 h-4 text-green-600" />
-                        <span className="text-sm font-medium text-green-800">HubSpot Deal Loaded</span>
+                        <span className="text-sm font-medium text-green-800">HubSpot {recordLabel} Loaded</span>
                       </div>
                       <p className="text-xs text-green-600 mt-1">
-                        {dealName}{dealStage ? ` • ${dealStage}` : ''}
+                        {recordName}{dealStage ? ` • ${dealStage}` : ''}
                       </p>
                     </div>
                   )}
 
                   <p className="text-xs font-medium text-slate-400 uppercase tracking-wider mb-4">
-                    {isHubSpotDeal ? 'Deal-specific prompts' : 'Try these prompts'}
+                    {isHubSpotRecord ? `${recordLabel}-specific prompts` : 'Try these prompts'}
                   </p>
                   <div className={`grid gap-2 ${sidebarOpen ? 'grid-cols-1' : 'grid-cols-2'}`}>
-                    {activePrompts.map((prompt, index) => (
+                    {gridPrompts.map((prompt, index) => (
                       <button
                         key={index}
-                        onClick={() => handlePromptClick(prompt.text)}
+                        onClick={() => handlePromptClick(prompt)}
                         className="group relative px-4 py-3.5 bg-white border border-slate-200 rounded-xl text-left hover:border-blue-300 hover:shadow-lg hover:shadow-blue-500/10 transition-all duration-200 overflow-hidden"
                       >
                         <div className="absolute inset-0 bg-gradient-to-r from-blue-50 to-indigo-50 opacity-0 group-hover:opacity-100 transition-opacity"></div>
@@ -328,10 +728,11 @@ const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sid
               )}
             </div>
           ) : (
-            <div className="space-y-4">
-              {messages.map((msg, index) => (
+            <div ref={messageListRef} className="space-y-4">
+              {thread.map((msg, index) => (
                 <div
                   key={msg.id || msg.message_id || index}
+                  data-message-id={msg.id || msg.message_id}
                   className={`flex gap-3 ${msg.type === 'user' ? 'justify-end' : 'justify-start'} animate-fadeIn`}
                 >
                   {msg.type === 'assistant' && (
@@ -352,27 +753,199 @@ const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sid
                         : msg.isError
                           ? 'bg-red-50 text-red-800 border border-red-200'
                           : 'bg-white text-slate-800 border border-slate-200 shadow-sm'
-                        }`}
+                        } ${focusMessage && focusMessage.messageId === (msg.id || msg.message_id) ? 'ring-4 ring-amber-300 transition-shadow duration-500' : ''}`}
                     >
-                      <p className="whitespace-pre-wrap break-words text-sm leading-relaxed">
-                        {msg.message}
-                      </p>
+                      {msg.type === 'assistant' && !msg.isError ? (
+                        <>
+                          <MarkdownMessage
+                            ref={el => { messageBodyRefs.current[msg.id || msg.message_id] = el; }}
+                            content={msg.message}
+                          />
+                          {msg.isStreaming && (
+                            <span className="inline-block w-1.5 h-4 mt-1 bg-indigo-500 rounded-sm animate-pulse" />
+                          )}
+                        </>
+                      ) : editing?.id === msg.id ? (
+                        <div className="min-w-[16rem]">
+                          <textarea
+                            value={editing.text}
+                            onChange={(e) => setEditing({ id: msg.id, text: e.target.value })}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter' && !e.shiftKey) {
+                                e.preventDefault();
+                                handleEditSubmit(msg, index);
+                              } else if (e.key === 'Escape') {
+                                setEditing(null);
+                              }
+                            }}
+                            rows={3}
+                            maxLength={2000}
+                            autoFocus
+                            className="w-full rounded-lg bg-white text-slate-800 text-sm p-2 focus:outline-none focus:ring-2 focus:ring-white/50 resize-y"
+                          />
+                          <div className="flex justify-end gap-2 mt-2">
+                            <button
+                              onClick={() => setEditing(null)}
+                              className="px-2.5 py-1 rounded-lg text-xs font-medium text-white hover:bg-white/10"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={() => handleEditSubmit(msg, index)}
+                              disabled={!editing.text.trim() || loading}
+                              className="px-2.5 py-1 rounded-lg bg-white text-xs font-medium text-indigo-700 hover:bg-indigo-50 disabled:opacity-50"
+                            >
+                              Save & send
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <>
+                          {msg.pageContext && (
+                            <a
+                              href={msg.pageContext.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              title={msg.pageContext.source === 'selection' ? 'Asked about a selection on this page' : 'Asked about this page'}
+                              className="flex items-center gap-1.5 mb-1.5 px-2 py-1 rounded-lg bg-white/15 text-xs text-blue-50 hover:bg-white/25"
+                            >
+                              <FiGlobe className="w-3 h-3 flex-shrink-0" />
+                              <span className="truncate">{msg.pageContext.title}</span>
+                            </a>
+                          )}
+                          <p className="whitespace-pre-wrap break-words text-sm leading-relaxed">
+                            {msg.message}
+                          </p>
+                        </>
+                      )}
+                      {msg.interrupted && (
+                        <p className="mt-1 text-xs text-slate-400 italic">Stopped - response was interrupted.</p>
+                      )}
+                      {msg.incomplete && (
+                        <p className="mt-1 text-xs text-amber-600">Connection lost - this reply may be incomplete.</p>
+                      )}
                       <div className={`flex items-center justify-between mt-2 text-xs ${msg.type === 'user' ? 'text-blue-200' : 'text-slate-400'
                         }`}>
-                        <span>{utils.formatTime(msg.timestamp)}</span>
-                        {msg.type === 'assistant' && !msg.isError && (
+                        <span className="flex items-center gap-2">
+                          <span>{utils.formatTime(msg.timestamp)}</span>
+                          {msg.metadata?.command && (
+                            <span className="font-mono" title={`Sent with /${msg.metadata.command}`}>/{msg.metadata.command}</span>
+                          )}
+                          {/* Branch switcher: < 2/3 > */}
+                          {msg.branch.count > 1 && (
+                            <span className="flex items-center">
+                              <button
+                                onClick={() => handleSelectBranch(msg.branch, -1)}
+                                disabled={msg.branch.index === 0}
+                                className={`p-0.5 rounded disabled:opacity-40 ${msg.type === 'user' ? 'hover:bg-white/10' : 'hover:bg-slate-100'}`}
+                                title="Previous version"
+                              >
+                                <FiChevronLeft className="w-3.5 h-3.5" />
+                              </button>
+                              <span className="tabular-nums">{msg.branch.index + 1}/{msg.branch.count}</span>
+                              <button
+                                onClick={() => handleSelectBranch(msg.branch, 1)}
+                                disabled={msg.branch.index === msg.branch.count - 1}
+                                className={`p-0.5 rounded disabled:opacity-40 ${msg.type === 'user' ? 'hover:bg-white/10' : 'hover:bg-slate-100'}`}
+                                title="Next version"
+                              >
+                                <FiChevronRight className="w-3.5 h-3.5" />
+                              </button>
+                            </span>
+                          )}
+                        </span>
+                        {msg.type === 'user' && editing?.id !== msg.id && (
                           <button
-                            onClick={() => copyToClipboard(msg.message, msg.id || msg.message_id)}
-                            className="opacity-0 group-hover:opacity-100 transition-opacity ml-2 p-1 hover:bg-slate-100 rounded"
-                            title="Copy message"
+                            onClick={() => setEditing({ id: msg.id, text: msg.message })}
+                            disabled={loading}
+                            className="ml-2 opacity-0 group-hover:opacity-100 transition-opacity p-1 hover:bg-white/10 rounded disabled:hidden"
+                            title="Edit and resend"
                           >
-                            {copiedId === (msg.id || msg.message_id) ? (
-                              <FiCheck className="w-3.5 h-3.5 text-emerald-500" />
-                            ) : (
-                              <FiCopy className="w-3.5 h-3.5 text-slate-400 hover:text-slate-600" />
-                            )}
+                            <FiEdit2 className="w-3.5 h-3.5" />
                           </button>
                         )}
+                        {msg.type === 'assistant' && !msg.isStreaming && (
+                          <div className="ml-auto flex items-center gap-0.5">
+                            {!msg.isError && msg.message && (
+                              <>
+                                <button
+                                  onClick={() => handleRate(msg, 'up')}
+                                  className={`p-1 hover:bg-slate-100 rounded transition-opacity ${msg.feedback?.rating === 'up' ? 'text-emerald-500' : 'opacity-0 group-hover:opacity-100'}`}
+                                  title="Good response"
+                                >
+                                  <FiThumbsUp className="w-3.5 h-3.5" />
+                                </button>
+                                <div className="relative" onMouseLeave={() => setReasonMenuId(null)}>
+                                  <button
+                                    onClick={() => handleRate(msg, 'down')}
+                                    className={`p-1 hover:bg-slate-100 rounded transition-opacity ${msg.feedback?.rating === 'down' ? 'text-red-500' : 'opacity-0 group-hover:opacity-100'}`}
+                                    title={msg.feedback?.reason ? `Bad response: ${FEEDBACK_REASONS[msg.feedback.reason]}` : 'Bad response'}
+                                  >
+                                    <FiThumbsDown className="w-3.5 h-3.5" />
+                                  </button>
+                                  {reasonMenuId === msg.id && (
+                                    <div className="absolute right-0 bottom-full mb-1 z-10 w-48 py-1 rounded-lg bg-white border border-slate-200 shadow-lg text-slate-700">
+                                      <p className="px-3 py-1 text-slate-400">What was wrong? (optional)</p>
+                                      {Object.entries(FEEDBACK_REASONS).map(([reason, label]) => (
+                                        <button
+                                          key={reason}
+                                          onClick={() => handleRate(msg, 'down', reason)}
+                                          className="w-full text-left px-3 py-1.5 hover:bg-slate-50"
+                                        >
+                                          {label}
+                                        </button>
+                                      ))}
+                                    </div>
+                                  )}
+                                </div>
+                              </>
+                            )}
+                            {thread[index - 1]?.type === 'user' && (
+                              <button
+                                onClick={() => handleRegenerate(index)}
+                                disabled={loading}
+                                className="opacity-0 group-hover:opacity-100 transition-opacity p-1 hover:bg-slate-100 rounded disabled:hidden"
+                                title={msg.isError ? 'Try again' : 'Regenerate response'}
+                              >
+                                <FiRefreshCw className="w-3.5 h-3.5 text-slate-400 hover:text-slate-600" />
+                              </button>
+                            )}
+                          </div>
+                        )}
+                        {msg.type === 'assistant' && !msg.isError && !msg.isStreaming && msg.message && (
+                          <div
+                            className="relative ml-1"
+                            onMouseLeave={() => setCopyMenuId(null)}
+                          >
+                            <button
+                              onClick={() => setCopyMenuId(copyMenuId === (msg.id || msg.message_id) ? null : (msg.id || msg.message_id))}
+                              className="opacity-0 group-hover:opacity-100 transition-opacity p-1 hover:bg-slate-100 rounded"
+                              title="Copy message"
+                            >
+                              {copiedId === (msg.id || msg.message_id) ? (
+                                <FiCheck className="w-3.5 h-3.5 text-emerald-500" />
+                              ) : (
+                                <FiCopy className="w-3.5 h-3.5 text-slate-400 hover:text-slate-600" />
+                              )}
+                            </button>
+                            {copyMenuId === (msg.id || msg.message_id) && (
+                              <div className="absolute right-0 bottom-full mb-1 z-10 w-44 py-1 rounded-lg bg-white border border-slate-200 shadow-lg text-slate-700">
+                                <button
+                                  onClick={() => copyToClipboard(msg, msg.id || msg.message_id, 'plain')}
+                                  className="w-full text-left px-3 py-1.5 hover:bg-slate-50"
+                                >
+                                  Copy as plain text
+                                </button>
+                                <button
+                                  onClick={() => copyToClipboard(msg, msg.id || msg.message_id, 'rich')}
+                                  className="w-full text-left px-3 py-1.5 hover:bg-slate-50"
+                                >
+                                  Copy as rich text (HTML)
+                                </button>
+                              </div>
+                            )}
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -414,49 +987,168 @@ const ChatWindow = ({ chatId, showHistory, hideHeader = false, onChatUpdate, sid
 
       {/* Input Area */}
       <div className="px-5 py-4 border-t border-slate-100 bg-white/80 backdrop-blur-sm">
+        {/* Values for template placeholders the HubSpot record couldn't fill */}
+        {templateFill && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              applyTemplate(templateFill.template, templateFill.answers);
+            }}
+            className="mb-3 p-3 rounded-xl border border-indigo-100 bg-indigo-50/50"
+          >
+            <p className="text-xs font-medium text-slate-700 mb-2">
+              {templateFill.template.emoji} {templateFill.template.title} - fill in the missing details
+            </p>
+            {templateFill.missing.map((path, index) => (
+              <label key={path} className="block mb-2 text-xs text-slate-500">
+                <span className="font-mono">{path}</span>
+                <input
+                  value={templateFill.answers[path] || ''}
+                  onChange={(e) => setTemplateFill(current => ({
+                    ...current,
+                    answers: { ...current.answers, [path]: e.target.value },
+                  }))}
+                  autoFocus={index === 0}
+                  className="mt-1 w-full rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-700 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                />
+              </label>
+            ))}
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={templateFill.missing.some(path => !templateFill.answers[path]?.trim())}
+                className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-xs font-medium hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                Use template
+              </button>
+              <button
+                type="button"
+                onClick={() => setTemplateFill(null)}
+                className="px-3 py-1.5 rounded-lg text-xs font-medium text-slate-600 hover:bg-slate-100 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
         <form onSubmit={handleSend} className="space-y-3">
-          <div className="flex gap-3">
+          {/* Page context attached to the next message */}
+          {pageContext && (
+            <div className="flex items-center gap-2 px-3 py-1.5 rounded-xl border border-indigo-100 bg-indigo-50/50 text-xs">
+              <FiGlobe className="w-3.5 h-3.5 text-indigo-600 flex-shrink-0" />
+              <span className="min-w-0 flex-1 truncate text-slate-700" title={pageContext.url}>
+                {pageContext.title}
+              </span>
+              <span className="flex-shrink-0 text-slate-400">
+                {pageContext.source === 'selection' ? 'Selection' : 'Page'} · {pageContext.text.length.toLocaleString()} chars
+              </span>
+              <button
+                type="button"
+                onClick={() => setPageContext(null)}
+                className="p-0.5 rounded text-slate-400 hover:text-slate-600 hover:bg-slate-100"
+                title="Remove page context"
+              >
+                <FiX className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          )}
+          <div className="flex items-end gap-3">
+            <button
+              type="button"
+              onClick={togglePageContext}
+              disabled={pageContextLoading || loading}
+              className={`rounded-xl w-10 h-12 flex items-center justify-center flex-shrink-0 transition-colors disabled:opacity-50 ${pageContext
+                ? 'bg-indigo-100 text-indigo-700'
+                : 'text-slate-400 hover:text-slate-600 hover:bg-slate-100'
+                }`}
+              title={pageContext ? 'Remove page context' : 'Ask about this page'}
+              aria-pressed={!!pageContext}
+            >
+              <FiGlobe className={`w-5 h-5 ${pageContextLoading ? 'animate-pulse' : ''}`} />
+            </button>
             <div className="flex-1 relative">
-              <Input
+              {/* Slash command autocomplete */}
+              {commandSuggestions.length > 0 && (
+                <div className="absolute left-0 right-0 bottom-full mb-2 z-20 max-h-60 overflow-y-auto py-1 rounded-xl bg-white border border-slate-200 shadow-lg" role="listbox">
+                  {commandSuggestions.map((suggestion, index) => (
+                    <button
+                      key={suggestion.key}
+                      type="button"
+                      role="option"
+                      aria-selected={index === highlightedCommand}
+                      onMouseDown={(e) => e.preventDefault()} // Keep focus in the composer
+                      onMouseEnter={() => setCommandIndex(index)}
+                      onClick={() => pickCommandSuggestion(suggestion)}
+                      className={`w-full text-left px-3 py-2 ${index === highlightedCommand ? 'bg-indigo-50' : ''}`}
+                    >
+                      <span className="text-sm font-medium text-slate-800">{suggestion.label}</span>
+                      {suggestion.hint && <span className="ml-2 text-xs font-mono text-slate-400">{suggestion.hint}</span>}
+                      {suggestion.description && <span className="block text-xs text-slate-500">{suggestion.description}</span>}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <Textarea
                 ref={inputRef}
                 value={input}
-                onChange={(e) => setInput(e.target.value)}
-                onKeyPress={handleKeyPress}
+                onChange={(e) => handleInputChange(e.target.value)}
+                onKeyDown={handleKeyDown}
+                maxLength={MAX_MESSAGE_LENGTH}
+                maxRows={8}
                 placeholder={
                   connectionStatus === 'connected'
-                    ? "Ask me anything about sales..."
+                    ? "Ask me anything about sales, or type / for commands..."
                     : "Setup API key to start..."
                 }
                 disabled={loading || connectionStatus !== 'connected'}
-                className="w-full rounded-xl border-slate-200 bg-slate-50 focus:bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 py-3 px-4 text-sm transition-all duration-200 placeholder-slate-400"
+                className="block w-full rounded-xl border-slate-200 bg-slate-50 focus:bg-white focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20 py-3 pl-4 pr-20 text-sm leading-6 transition-all duration-200 placeholder-slate-400"
               />
               {input.length > 0 && (
-                <span className="absolute right-3 bottom-3 text-xs text-slate-400">
-                  {input.length}/2000
+                <span className={`absolute right-3 bottom-3 text-xs ${input.length >= MAX_MESSAGE_LENGTH
+                  ? 'font-medium text-red-600'
+                  : input.length >= LENGTH_WARNING_AT ? 'text-amber-600' : 'text-slate-400'
+                  }`}>
+                  {input.length}/{MAX_MESSAGE_LENGTH}
                 </span>
               )}
             </div>
-            <Button
-              type="submit"
-              disabled={!input.trim() || loading || connectionStatus !== 'connected'}
-              className={`rounded-xl w-12 h-12 p-0 flex items-center justify-center transition-all duration-200 ${input.trim() && !loading && connectionStatus === 'connected'
-                ? 'bg-gradient-to-r from-blue-600 via-indigo-600 to-purple-600 hover:shadow-lg hover:shadow-blue-500/30 hover:scale-105'
-                : 'bg-slate-200'
-                }`}
-            >
-              {loading ? (
-                <FiRefreshCw className="w-5 h-5 text-white animate-spin" />
-              ) : (
+            {loading ? (
+              <Button
+                type="button"
+                onClick={handleStop}
+                title="Stop generating"
+                className="rounded-xl w-12 h-12 p-0 flex items-center justify-center transition-all duration-200 bg-slate-700 hover:bg-slate-800"
+              >
+                <FiSquare className="w-4 h-4 text-white fill-current" />
+              </Button>
+            ) : (
+              <Button
+                type="submit"
+                disabled={!input.trim() || connectionStatus !== 'connected'}
+                className={`rounded-xl w-12 h-12 p-0 flex items-center justify-center transition-all duration-200 ${input.trim() && connectionStatus === 'connected'
+                  ? 'bg-gradient-to-r from-blue-600 via-indigo-600 to-purple-600 hover:shadow-lg hover:shadow-blue-500/30 hover:scale-105'
+                  : 'bg-slate-200'
+                  }`}
+              >
                 <FiSend className={`w-5 h-5 ${input.trim() && connectionStatus === 'connected' ? 'text-white' : 'text-slate-400'}`} />
-              )}
-            </Button>
+              </Button>
+            )}
           </div>
           <div className="flex items-center justify-between">
-            <span className="text-xs text-slate-400">
-              {connectionStatus === 'connected'
-                ? 'Press Enter to send • Shift+Enter for new line'
-                : 'Configure API key to start chatting'}
-            </span>
+            {composerError ? (
+              <span className="text-xs text-red-600">{composerError}</span>
+            ) : input.length >= MAX_MESSAGE_LENGTH ? (
+              <span className="text-xs text-red-600">{MAX_MESSAGE_LENGTH}-character limit reached - extra text is cut off</span>
+            ) : commandHint ? (
+              <span className="text-xs font-mono text-slate-500">{commandHint}</span>
+            ) : (
+              <span className="text-xs text-slate-400">
+                {connectionStatus === 'connected'
+                  ? 'Press Enter to send • Shift+Enter for new line'
+                  : 'Configure API key to start chatting'}
+              </span>
+            )}
           </div>
         </form>
       </div>
@@ -0,0 +1,111 @@
+import React, { useState, useRef, forwardRef } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { FiCopy, FiCheck } from 'react-icons/fi';
+import { clipboardService } from '../../services/clipboard';
+
+// Fenced code block with its own copy button (excluded from whole-message copies)
+const CodeBlock = ({ children }) => {
+    const [copied, setCopied] = useState(false);
+    const preRef = useRef(null);
+
+    const handleCopy = async () => {
+        try {
+            await clipboardService.copyText(preRef.current?.innerText || '');
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            console.error('Failed to copy code:', err);
+        }
+    };
+
+    return (
+        <div className="relative group/code my-2">
+            <pre
+                ref={preRef}
+                className="overflow-x-auto rounded-lg bg-slate-900 text-slate-100 text-xs leading-relaxed p-3 pr-9 [&_code]:bg-transparent [&_code]:p-0 [&_code]:text-inherit"
+            >
+                {children}
+            </pre>
+            <button
+                type="button"
+                data-copy-ignore
+                onClick={handleCopy}
+                className="absolute top-1.5 right-1.5 p-1 rounded bg-slate-700/80 hover:bg-slate-600 opacity-0 group-hover/code:opacity-100 transition-opacity"
+                title="Copy code"
+            >
+                {copied ? (
+                    <FiCheck className="w-3.5 h-3.5 text-emerald-400" />
+                ) : (
+                    <FiCopy className="w-3.5 h-3.5 text-slate-300" />
+                )}
+            </button>
+        </div>
+    );
+};
+
+// react-markdown passes its AST `node` to overrides; it must not reach the DOM
+const domProps = (props) => {
+    const rest = { ...props };
+    delete rest.node;
+    return rest;
+};
+
+// Plain element override with Tailwind styling
+const styled = (Tag, className) => {
+    const StyledElement = (props) => <Tag className={className} {...domProps(props)} />;
+    StyledElement.displayName = `Markdown.${Tag}`;
+    return StyledElement;
+};
+
+// Element overrides: Tailwind styling, links in a new tab. Raw HTML in the
+// Markdown is never rendered and unsafe link protocols are dropped by react-markdown.
+const MARKDOWN_COMPONENTS = {
+    h1: styled('h1', 'text-base font-bold mt-3 mb-2 first:mt-0'),
+    h2: styled('h2', 'text-sm font-bold mt-3 mb-2 first:mt-0'),
+    h3: styled('h3', 'text-sm font-semibold mt-3 mb-1 first:mt-0'),
+    h4: styled('h4', 'text-sm font-semibold mt-2 mb-1 first:mt-0'),
+    p: styled('p', 'my-2 first:mt-0 last:mb-0'),
+    ul: styled('ul', 'list-disc pl-5 my-2 space-y-1'),
+    ol: styled('ol', 'list-decimal pl-5 my-2 space-y-1'),
+    blockquote: styled('blockquote', 'border-l-4 border-slate-200 pl-3 my-2 text-slate-600 italic'),
+    hr: styled('hr', 'my-3 border-slate-200'),
+    th: styled('th', 'border border-slate-200 bg-slate-50 px-2 py-1 text-left font-semibold'),
+    td: styled('td', 'border border-slate-200 px-2 py-1 align-top'),
+    a: (props) => (
+        <a
+            className="text-indigo-600 underline hover:text-indigo-800"
+            target="_blank"
+            rel="noopener noreferrer"
+            {...domProps(props)}
+        />
+    ),
+    table: (props) => (
+        <div className="overflow-x-auto my-2">
+            <table className="min-w-full text-xs border border-slate-200 border-collapse" {...domProps(props)} />
+        </div>
+    ),
+    pre: ({ children }) => <CodeBlock>{children}</CodeBlock>,
+    // Code inside <pre> is restyled by CodeBlock; this styling is for inline code
+    code: (props) => (
+        <code className="rounded bg-slate-100 px-1 py-0.5 text-[0.85em] text-pink-700" {...domProps(props)} />
+    ),
+};
+
+/**
+ * Render an assistant reply as sanitized Markdown (GFM: lists, tables, strikethrough).
+ * The ref points at the rendered container, used for rich-text copying.
+ */
+const MarkdownMessage = forwardRef(({ content, className = '' }, ref) => {
+    return (
+        <div ref={ref} className={`break-words text-sm leading-relaxed ${className}`}>
+            <ReactMarkdown remarkPlugins={[remarkGfm]} components={MARKDOWN_COMPONENTS}>
+                {content || ''}
+            </ReactMarkdown>
+        </div>
+    );
+});
+
+MarkdownMessage.displayName = 'MarkdownMessage';
+
+export default MarkdownMessage;
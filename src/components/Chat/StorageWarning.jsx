@@ -0,0 +1,33 @@
+import React from 'react';
+import { FiAlertTriangle, FiX } from 'react-icons/fi';
+import { utils } from '../../services/api';
+
+const StorageWarning = ({ status, onCleanUp, onDismiss }) => {
+    const percent = Math.round((status.ratio || 0) * 100);
+
+    return (
+        <div className="flex items-center gap-2 px-4 py-2 bg-amber-50 border-b border-amber-200 text-xs text-amber-800 flex-shrink-0">
+            <FiAlertTriangle className="w-4 h-4 flex-shrink-0 text-amber-500" />
+            <p className="flex-1 min-w-0">
+                {status.exceeded
+                    ? 'Chat storage is full - new messages are not being saved.'
+                    : `Chat storage is ${percent}% full (${utils.formatBytes(status.usage)} of ${utils.formatBytes(status.quota)}).`}
+            </p>
+            <button
+                onClick={onCleanUp}
+                className="px-2 py-1 rounded-md font-medium text-amber-900 hover:bg-amber-100 transition-colors"
+            >
+                Clean up
+            </button>
+            <button
+                onClick={onDismiss}
+                className="p-1 rounded-md hover:bg-amber-100 transition-colors"
+                title="Dismiss"
+            >
+                <FiX className="w-3.5 h-3.5" />
+            </button>
+        </div>
+    );
+};
+
+export default StorageWarning;
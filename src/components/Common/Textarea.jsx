@@ -0,0 +1,53 @@
+import React, { forwardRef, useImperativeHandle, useLayoutEffect, useRef } from 'react';
+
+// Multiline counterpart of Input that grows with its content up to `maxRows`,
+// then scrolls
+const Textarea = forwardRef(({
+  className = '',
+  minRows = 1,
+  maxRows = 8,
+  value,
+  ...props
+}, ref) => {
+  const textareaRef = useRef(null);
+  useImperativeHandle(ref, () => textareaRef.current);
+
+  // Measure from a collapsed height so the box also shrinks when text is removed
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const style = window.getComputedStyle(textarea);
+    const lineHeight = parseFloat(style.lineHeight) || 20;
+    const padding = parseFloat(style.paddingTop) + parseFloat(style.paddingBottom);
+    const border = parseFloat(style.borderTopWidth) + parseFloat(style.borderBottomWidth);
+
+    textarea.style.height = 'auto';
+    const height = Math.min(
+      Math.max(textarea.scrollHeight, lineHeight * minRows + padding),
+      lineHeight * maxRows + padding
+    );
+    textarea.style.height = `${height + border}px`;
+    textarea.style.overflowY = textarea.scrollHeight > height ? 'auto' : 'hidden';
+  }, [value, minRows, maxRows]);
+
+  return (
+    <textarea
+      ref={textareaRef}
+      rows={minRows}
+      value={value}
+      className={`
+        w-full rounded-xl px-4 py-2.5 resize-none
+        border border-gray-200 bg-white/80 text-gray-900 placeholder:text-gray-400
+        focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20
+        transition-colors duration-300
+        disabled:opacity-50 disabled:cursor-not-allowed
+        ${className}
+      `}
+      {...props}
+    />
+  );
+});
+
+Textarea.displayName = 'Textarea';
+
+export default Textarea;
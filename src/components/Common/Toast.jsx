@@ -0,0 +1,31 @@
+import React from 'react';
+import { FiX } from 'react-icons/fi';
+
+// Short-lived notice at the bottom of the window, with an optional action (e.g. Undo)
+const Toast = ({ message, actionLabel, onAction, onDismiss }) => {
+  return (
+    <div
+      role="status"
+      className="fixed bottom-24 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 max-w-[90%] pl-4 pr-2 py-2 rounded-xl bg-slate-800 text-white text-sm shadow-lg"
+    >
+      <span className="truncate">{message}</span>
+      {actionLabel && (
+        <button
+          onClick={onAction}
+          className="flex-shrink-0 px-2 py-1 rounded-md font-semibold text-indigo-300 hover:bg-white/10 transition-colors"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button
+        onClick={onDismiss}
+        className="flex-shrink-0 p-1 rounded-md text-slate-400 hover:text-white hover:bg-white/10 transition-colors"
+        title="Dismiss"
+      >
+        <FiX className="w-3.5 h-3.5" />
+      </button>
+    </div>
+  );
+};
+
+export default Toast;
@@ -0,0 +1,234 @@
+import React, { useState, useRef } from 'react';
+import { FiSave, FiDownload, FiUpload, FiCheck, FiAlertCircle } from 'react-icons/fi';
+import { backupService } from '../../services/backup';
+import { settingsService } from '../../services/settings';
+
+const BackupRestore = ({ onRestored }) => {
+    const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+    const [pending, setPending] = useState(null); // { archive, preview } awaiting confirmation
+    const [mode, setMode] = useState('merge');
+    const [include, setInclude] = useState({ chats: true, settings: true, templates: true, userId: true });
+    const [busy, setBusy] = useState(false);
+    const [urlsToConfirm, setUrlsToConfirm] = useState([]); // Restored backend URLs not applied yet
+    const [urlStatus, setUrlStatus] = useState(null); // { profileKey, text } of a failed check
+    const fileInputRef = useRef(null);
+
+    const handleBackup = async () => {
+        setMessage(null);
+        try {
+            const fileName = await backupService.downloadBackup();
+            setMessage({ type: 'success', text: `Saved ${fileName}` });
+        } catch (error) {
+            setMessage({ type: 'error', text: `Backup failed: ${error.message}` });
+        }
+    };
+
+    const handleFileChosen = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Choosing the same file again should still trigger a change
+        if (!file) return;
+
+        setMessage(null);
+        setPending(null);
+        try {
+            const backup = await backupService.readBackup(await file.text());
+            setPending(backup);
+            setMode('merge');
+            setInclude({
+                chats: true,
+                settings: !!backup.preview.settings,
+                templates: backup.preview.templateCount > 0,
+                userId: !!backup.preview.userId,
+            });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleRestore = async () => {
+        if ((include.chats || include.templates) && mode === 'replace'
+            && !window.confirm('Replace your current chats and templates with the ones in this backup? The current ones will be deleted.')) {
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const result = await backupService.restoreBackup(pending.archive, { mode, include });
+            setPending(null);
+            setUrlsToConfirm(result.urlsToConfirm);
+            setUrlStatus(null);
+            setMessage({ type: 'success', text: 'Backup restored' });
+            if (onRestored) onRestored();
+        } catch (error) {
+            setMessage({ type: 'error', text: `Restore failed: ${error.message}` });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // Same permission and /health checks as a URL typed in on the settings screen
+    const handleConfirmUrl = async (url) => {
+        setUrlStatus(null);
+        try {
+            await settingsService.applyProfileUrl(url.profileKey, url.apiBaseUrl);
+            if (url.activate) {
+                await settingsService.setActiveProfile(url.profileKey);
+            }
+            setUrlsToConfirm(current => current.filter(item => item.profileKey !== url.profileKey));
+        } catch (error) {
+            setUrlStatus({ profileKey: url.profileKey, text: error.message });
+        }
+    };
+
+    const toggleInclude = (key) => setInclude(current => ({ ...current, [key]: !current[key] }));
+    const preview = pending?.preview;
+
+    return (
+        <>
+            <div className="flex items-center gap-2 mt-6 mb-3">
+                <FiSave className="w-4 h-4 text-indigo-600" />
+                <h2 className="font-semibold text-slate-800 text-sm">Backup & restore</h2>
+            </div>
+            <div className="p-3 rounded-xl border border-slate-200 bg-white">
+                <p className="text-xs text-slate-400 mb-3">
+                    One file with your chats, settings, prompt templates and user ID, for a reinstall or a new computer. Sign-in is not included.
+                </p>
+                <div className="flex flex-wrap gap-2">
+                    <button
+                        onClick={handleBackup}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-slate-200 text-xs font-medium text-slate-600 hover:bg-slate-50 transition-colors"
+                    >
+                        <FiDownload className="w-3.5 h-3.5" />
+                        Download backup
+                    </button>
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-slate-200 text-xs font-medium text-slate-600 hover:bg-slate-50 transition-colors"
+                    >
+                        <FiUpload className="w-3.5 h-3.5" />
+                        Restore from file
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept="application/json,.json"
+                        onChange={handleFileChosen}
+                        className="hidden"
+                    />
+                </div>
+
+                {/* Preview of what will be imported */}
+                {preview && (
+                    <div className="mt-3 p-3 rounded-lg border border-indigo-100 bg-indigo-50/50 text-xs text-slate-600">
+                        <p className="font-medium text-slate-700 mb-2">
+                            Backup from {preview.createdAt ? new Date(preview.createdAt).toLocaleString() : 'an unknown date'}
+                        </p>
+                        <label className="flex items-start gap-2 mb-1.5">
+                            <input type="checkbox" className="mt-0.5" checked={include.chats} onChange={() => toggleInclude('chats')} />
+                            <span>
+                                {preview.chatCount} chat{preview.chatCount !== 1 ? 's' : ''} ({preview.messageCount} messages)
+                                {preview.existingChatCount > 0 && (
+                                    <span className="text-slate-400"> - {preview.existingChatCount} already here</span>
+                                )}
+                            </span>
+                        </label>
+                        {preview.settings && (
+                            <label className="flex items-start gap-2 mb-1.5">
+                                <input type="checkbox" className="mt-0.5" checked={include.settings} onChange={() => toggleInclude('settings')} />
+                                <span className="min-w-0 break-all">
+                                    Settings - {preview.settings.profileName} backend
+                                    {preview.settings.apiBaseUrl && <span className="text-slate-400"> ({preview.settings.apiBaseUrl})</span>}
+                                </span>
+                            </label>
+                        )}
+                        {preview.templateCount > 0 && (
+                            <label className="flex items-start gap-2 mb-1.5">
+                                <input type="checkbox" className="mt-0.5" checked={include.templates} onChange={() => toggleInclude('templates')} />
+                                <span>{preview.templateCount} prompt template{preview.templateCount !== 1 ? 's' : ''}</span>
+                            </label>
+                        )}
+                        {preview.userId && (
+                            <label className="flex items-start gap-2 mb-1.5">
+                                <input type="checkbox" className="mt-0.5" checked={include.userId} onChange={() => toggleInclude('userId')} />
+                                <span className="min-w-0 break-all">User ID <span className="text-slate-400">{preview.userId}</span></span>
+                            </label>
+                        )}
+
+                        {(include.chats || include.templates) && (
+                            <div className="flex gap-3 mt-2">
+                                <label className="flex items-center gap-1.5">
+                                    <input type="radio" name="restore-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                                    Merge with what's here
+                                </label>
+                                <label className="flex items-center gap-1.5">
+                                    <input type="radio" name="restore-mode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                                    Replace what's here
+                                </label>
+                            </div>
+                        )}
+
+                        <div className="flex gap-2 mt-3">
+                            <button
+                                onClick={handleRestore}
+                                disabled={busy || !Object.values(include).some(Boolean)}
+                                className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-xs font-medium hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+                            >
+                                {busy ? 'Restoring...' : 'Restore'}
+                            </button>
+                            <button
+                                onClick={() => setPending(null)}
+                                disabled={busy}
+                                className="px-3 py-1.5 rounded-lg text-xs font-medium text-slate-600 hover:bg-slate-100 transition-colors"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Backend URLs from the backup, applied only once checked */}
+                {urlsToConfirm.length > 0 && (
+                    <div className="mt-3 p-3 rounded-lg border border-amber-200 bg-amber-50/50 text-xs text-slate-600">
+                        <p className="font-medium text-slate-700 mb-2">Confirm the backend URLs from this backup</p>
+                        {urlsToConfirm.map(url => (
+                            <div key={url.profileKey} className="mb-2">
+                                <div className="flex items-center gap-2">
+                                    <span className="min-w-0 flex-1 break-all">
+                                        {url.name}: <span className="text-slate-400">{url.apiBaseUrl}</span>
+                                    </span>
+                                    <button
+                                        onClick={() => handleConfirmUrl(url)}
+                                        className="px-2.5 py-1 rounded-lg bg-indigo-600 text-white text-xs font-medium hover:bg-indigo-700 transition-colors"
+                                    >
+                                        Check & use
+                                    </button>
+                                    <button
+                                        onClick={() => setUrlsToConfirm(current => current.filter(item => item.profileKey !== url.profileKey))}
+                                        className="px-2.5 py-1 rounded-lg text-xs font-medium text-slate-600 hover:bg-slate-100 transition-colors"
+                                    >
+                                        Skip
+                                    </button>
+                                </div>
+                                {urlStatus?.profileKey === url.profileKey && (
+                                    <p className="flex items-center gap-1.5 mt-1 text-red-600">
+                                        <FiAlertCircle className="w-3.5 h-3.5" />
+                                        {urlStatus.text}
+                                    </p>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {message && (
+                    <p className={`flex items-center gap-1.5 mt-2 text-xs ${message.type === 'success' ? 'text-emerald-600' : 'text-red-600'}`}>
+                        {message.type === 'success' ? <FiCheck className="w-3.5 h-3.5" /> : <FiAlertCircle className="w-3.5 h-3.5" />}
+                        {message.text}
+                    </p>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default BackupRestore;
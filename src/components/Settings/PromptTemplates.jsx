@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { FiBookmark, FiPlus, FiEdit2, FiTrash2, FiArrowUp, FiArrowDown, FiAlertCircle } from 'react-icons/fi';
+import { promptTemplateService, PLACEHOLDER_HINTS } from '../../services/promptTemplates';
+import { settingsService } from '../../services/settings';
+
+const EMPTY_FORM = { id: null, emoji: '', title: '', category: '', text: '' };
+
+const PromptTemplates = ({ templatePrompts }) => {
+    const [templates, setTemplates] = useState([]);
+    const [form, setForm] = useState(null); // Template being created or edited
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        promptTemplateService.getTemplates().then(setTemplates);
+        return promptTemplateService.subscribe(setTemplates);
+    }, []);
+
+    const categories = [...new Set(templates.map(template => template.category).filter(Boolean))].sort();
+
+    const updateForm = (changes) => setForm(current => ({ ...current, ...changes }));
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        try {
+            await promptTemplateService.saveTemplate(form);
+            setForm(null);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleDelete = (template) => {
+        if (window.confirm(`Delete the template "${template.title}"?`)) {
+            promptTemplateService.deleteTemplate(template.id);
+        }
+    };
+
+    return (
+        <>
+            <div className="flex items-center gap-2 mt-6 mb-3">
+                <FiBookmark className="w-4 h-4 text-indigo-600" />
+                <h2 className="font-semibold text-slate-800 text-sm">Prompt templates</h2>
+            </div>
+            <div className="p-3 rounded-xl border border-slate-200 bg-white">
+                <p className="text-xs text-slate-400 mb-3">
+                    Your playbook prompts, shown in the chat's prompt grid. Placeholders like {'{{deal.name}}'} are filled
+                    from the loaded HubSpot record; you're asked for any that aren't.
+                </p>
+
+                {templates.length > 0 && (
+                    <ul className="divide-y divide-slate-100 mb-3">
+                        {templates.map((template, index) => (
+                            <li key={template.id} className="flex items-center gap-2 py-1.5">
+                                <span className="text-lg">{template.emoji}</span>
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-sm font-medium text-slate-700 truncate">{template.title}</p>
+                                    {template.category && <p className="text-xs text-slate-400 truncate">{template.category}</p>}
+                                </div>
+                                <button
+                                    onClick={() => promptTemplateService.moveTemplate(template.id, -1)}
+                                    disabled={index === 0}
+                                    className="p-1 rounded text-slate-400 hover:text-slate-600 hover:bg-slate-100 disabled:opacity-30"
+                                    title="Move up"
+                                >
+                                    <FiArrowUp className="w-3.5 h-3.5" />
+                                </button>
+                                <button
+                                    onClick={() => promptTemplateService.moveTemplate(template.id, 1)}
+                                    disabled={index === templates.length - 1}
+                                    className="p-1 rounded text-slate-400 hover:text-slate-600 hover:bg-slate-100 disabled:opacity-30"
+                                    title="Move down"
+                                >
+                                    <FiArrowDown className="w-3.5 h-3.5" />
+                                </button>
+                                <button
+                                    onClick={() => { setForm(template); setError(null); }}
+                                    className="p-1 rounded text-slate-400 hover:text-slate-600 hover:bg-slate-100"
+                                    title="Edit"
+                                >
+                                    <FiEdit2 className="w-3.5 h-3.5" />
+                                </button>
+                                <button
+                                    onClick={() => handleDelete(template)}
+                                    className="p-1 rounded text-slate-400 hover:text-red-600 hover:bg-red-50"
+                                    title="Delete"
+                                >
+                                    <FiTrash2 className="w-3.5 h-3.5" />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {form ? (
+                    <form onSubmit={handleSave} className="space-y-2">
+                        <div className="flex gap-2">
+                            <input
+                                value={form.emoji}
+                                onChange={(e) => updateForm({ emoji: e.target.value })}
+                                placeholder="📝"
+                                maxLength={4}
+                                className="w-12 rounded-lg border border-slate-200 px-2 py-1.5 text-sm text-center focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                                aria-label="Emoji"
+                            />
+                            <input
+                                value={form.title}
+                                onChange={(e) => updateForm({ title: e.target.value })}
+                                placeholder="Title, e.g. Renewal check-in"
+                                maxLength={60}
+                                autoFocus
+                                className="flex-1 min-w-0 rounded-lg border border-slate-200 px-3 py-1.5 text-xs text-slate-700 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                            />
+                        </div>
+                        <input
+                            value={form.category}
+                            onChange={(e) => updateForm({ category: e.target.value })}
+                            placeholder="Category, e.g. Email"
+                            maxLength={30}
+                            list="prompt-template-categories"
+                            className="w-full rounded-lg border border-slate-200 px-3 py-1.5 text-xs text-slate-700 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                        />
+                        <datalist id="prompt-template-categories">
+                            {categories.map(category => <option key={category} value={category} />)}
+                        </datalist>
+                        <textarea
+                            value={form.text}
+                            onChange={(e) => updateForm({ text: e.target.value })}
+                            placeholder="Write a check-in email for {{contact.name}} about {{deal.name}}, now in {{deal.stage}}."
+                            rows={4}
+                            maxLength={2000}
+                            className="w-full rounded-lg border border-slate-200 px-3 py-1.5 text-xs text-slate-700 resize-y focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                        />
+                        <div className="flex flex-wrap gap-1">
+                            {PLACEHOLDER_HINTS.map(path => (
+                                <button
+                                    key={path}
+                                    type="button"
+                                    onClick={() => updateForm({ text: `${form.text}{{${path}}}` })}
+                                    className="px-1.5 py-0.5 rounded bg-slate-100 text-[11px] font-mono text-slate-600 hover:bg-indigo-50 hover:text-indigo-700"
+                                >
+                                    {`{{${path}}}`}
+                                </button>
+                            ))}
+                        </div>
+                        {error && (
+                            <p className="flex items-center gap-1.5 text-xs text-red-600">
+                                <FiAlertCircle className="w-3.5 h-3.5" />
+                                {error}
+                            </p>
+                        )}
+                        <div className="flex gap-2">
+                            <button
+                                type="submit"
+                                className="px-3 py-1.5 rounded-lg bg-indigo-600 text-white text-xs font-medium hover:bg-indigo-700 transition-colors"
+                            >
+                                Save template
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => { setForm(null); setError(null); }}
+                                className="px-3 py-1.5 rounded-lg text-xs font-medium text-slate-600 hover:bg-slate-100 transition-colors"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                ) : (
+                    <button
+                        onClick={() => setForm(EMPTY_FORM)}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-slate-200 text-xs font-medium text-slate-600 hover:bg-slate-50 transition-colors"
+                    >
+                        <FiPlus className="w-3.5 h-3.5" />
+                        New template
+                    </button>
+                )}
+
+                <div className="flex flex-wrap gap-3 mt-3 pt-3 border-t border-slate-100 text-xs text-slate-600">
+                    <span className="text-slate-400">In the prompt grid:</span>
+                    <label className="flex items-center gap-1.5">
+                        <input
+                            type="radio"
+                            name="template-prompts"
+                            checked={templatePrompts === 'extend'}
+                            onChange={() => settingsService.setPreference('templatePrompts', 'extend')}
+                        />
+                        Add to the suggested prompts
+                    </label>
+                    <label className="flex items-center gap-1.5">
+                        <input
+                            type="radio"
+                            name="template-prompts"
+                            checked={templatePrompts === 'replace'}
+                            onChange={() => settingsService.setPreference('templatePrompts', 'replace')}
+                        />
+                        Replace them
+                    </label>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default PromptTemplates;
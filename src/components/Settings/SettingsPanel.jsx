@@ -0,0 +1,369 @@
+import React, { useState, useEffect } from 'react';
+import { FiServer, FiCheck, FiAlertCircle, FiUser, FiLogOut, FiMessageSquare, FiDatabase, FiTrash2, FiSidebar } from 'react-icons/fi';
+import { settingsService } from '../../services/settings';
+import { authService } from '../../services/auth';
+import { chatRepository } from '../../services/chatRepository';
+import { utils } from '../../services/api';
+import BackupRestore from './BackupRestore';
+import PromptTemplates from './PromptTemplates';
+
+const SettingsPanel = ({ onChatsCleanedUp }) => {
+    const [settings, setSettings] = useState(null);
+    const [drafts, setDrafts] = useState({});
+    const [savingProfile, setSavingProfile] = useState(null);
+    const [status, setStatus] = useState(null); // { profile, type: 'success' | 'error', text }
+    const [user, setUser] = useState(authService.getUser());
+    const [storageStatus, setStorageStatus] = useState(null);
+    const [cleanupMessage, setCleanupMessage] = useState(null);
+    const [windowId, setWindowId] = useState(null);
+    const [surfaceError, setSurfaceError] = useState(null);
+    const currentSurface = settingsService.getCurrentSurface();
+
+    useEffect(() => {
+        return authService.subscribe((event, nextUser) => setUser(nextUser));
+    }, []);
+
+    useEffect(() => {
+        chatRepository.getStorageStatus().then(setStorageStatus);
+    }, []);
+
+    // sidePanel.open() needs a window ID synchronously inside the click handler
+    useEffect(() => {
+        if (typeof chrome !== 'undefined' && chrome.windows) {
+            chrome.windows.getCurrent().then(win => setWindowId(win.id)).catch(() => {});
+        }
+    }, []);
+
+    useEffect(() => {
+        const applySettings = (next) => {
+            setSettings(next);
+            setDrafts(Object.fromEntries(
+                Object.entries(next.profiles).map(([key, profile]) => [key, profile.apiBaseUrl])
+            ));
+        };
+
+        settingsService.getSettings().then(applySettings);
+        return settingsService.subscribe(applySettings);
+    }, []);
+
+    const handleSaveUrl = async (profileKey) => {
+        setSavingProfile(profileKey);
+        setStatus(null);
+        try {
+            // Host permission, then /health - the permission prompt needs this click
+            await settingsService.applyProfileUrl(profileKey, drafts[profileKey]);
+            setStatus({ profile: profileKey, type: 'success', text: 'Backend is healthy - saved' });
+        } catch (error) {
+            setStatus({ profile: profileKey, type: 'error', text: error.message });
+        } finally {
+            setSavingProfile(null);
+        }
+    };
+
+    const handleSelectProfile = async (profileKey) => {
+        setStatus(null);
+        try {
+            await settingsService.setActiveProfile(profileKey);
+        } catch (error) {
+            setStatus({ profile: profileKey, type: 'error', text: error.message });
+        }
+    };
+
+    const handleSelectSurface = (surface) => {
+        setSurfaceError(null);
+        // Switching from the popup: open the panel now, while the click still counts as a gesture
+        if (surface === 'sidepanel' && currentSurface === 'popup' && windowId !== null) {
+            settingsService.openSidePanel(windowId)
+                .then(() => window.close())
+                .catch(error => setSurfaceError(error.message));
+        }
+        settingsService.setPreference('uiSurface', surface);
+    };
+
+    const runCleanup = async (cleanup, describe) => {
+        try {
+            const count = await cleanup();
+            setCleanupMessage(describe(count));
+            setStorageStatus(await chatRepository.getStorageStatus());
+            if (onChatsCleanedUp) onChatsCleanedUp();
+        } catch (error) {
+            setCleanupMessage(`Cleanup failed: ${error.message}`);
+        }
+    };
+
+    const handleDeleteOlderThan = (days) => {
+        runCleanup(
+            () => chatRepository.trashChatsOlderThan(days),
+            count => `Moved ${count === 1 ? '1 chat' : `${count} chats`} to the trash - pinned chats are kept`
+        );
+    };
+
+    const handleDeleteAllChats = () => {
+        if (!window.confirm('Delete all chats? This action cannot be undone.')) return;
+        runCleanup(async () => {
+            const { length } = await chatRepository.getAllChats();
+            await chatRepository.deleteAllChats();
+            return length;
+        }, count => (count === 1 ? 'Deleted 1 chat' : `Deleted ${count} chats`));
+    };
+
+    // Number inputs commit on blur so partial values aren't clamped mid-typing
+    const handleNumberPreference = (key, input, min, max) => {
+        const value = parseInt(input.value, 10);
+        const clamped = isNaN(value) ? settings.preferences[key] : Math.min(max, Math.max(min, value));
+        if (clamped !== settings.preferences[key]) {
+            settingsService.setPreference(key, clamped);
+        } else {
+            input.value = clamped;
+        }
+    };
+
+    if (!settings) {
+        return null;
+    }
+
+    return (
+        <div className="h-full overflow-y-auto px-5 py-4 bg-gradient-to-b from-slate-50 to-white custom-scrollbar">
+            {user && (
+                <div className="mb-6">
+                    <div className="flex items-center gap-2 mb-3">
+                        <FiUser className="w-4 h-4 text-indigo-600" />
+                        <h2 className="font-semibold text-slate-800 text-sm">Account</h2>
+                    </div>
+                    <div className="flex items-center justify-between p-3 rounded-xl border border-slate-200 bg-white">
+                        <div className="min-w-0">
+                            <p className="text-sm font-medium text-slate-700 truncate">{user.name || user.email}</p>
+                            {user.name && <p className="text-xs text-slate-400 truncate">{user.email}</p>}
+                        </div>
+                        <button
+                            onClick={() => authService.logout()}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium text-slate-600 hover:bg-red-50 hover:text-red-600 transition-colors"
+                        >
+                            <FiLogOut className="w-3.5 h-3.5" />
+                            Sign out
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="flex items-center gap-2 mb-1">
+                <FiServer className="w-4 h-4 text-indigo-600" />
+                <h2 className="font-semibold text-slate-800 text-sm">Backend</h2>
+            </div>
+            <p className="text-xs text-slate-500 mb-4">
+                Choose which SalesHub backend the chat, HubSpot context and website tracking talk to.
+            </p>
+
+            <div className="space-y-3">
+                {Object.entries(settings.profiles).map(([key, profile]) => {
+                    const isActive = settings.activeProfile === key;
+                    const isDirty = (drafts[key] || '') !== (profile.apiBaseUrl || '');
+
+                    return (
+                        <div
+                            key={key}
+                            className={`p-3 rounded-xl border transition-all duration-200 ${isActive
+                                ? 'bg-gradient-to-r from-blue-50 to-indigo-50 border-blue-200/50 shadow-sm'
+                                : 'bg-white border-slate-200'
+                                }`}
+                        >
+                            <div className="flex items-center justify-between mb-2">
+                                <label className="flex items-center gap-2 text-sm font-medium text-slate-700 cursor-pointer">
+                                    <input
+                                        type="radio"
+                                        name="api-profile"
+                                        checked={isActive}
+                                        disabled={!profile.apiBaseUrl}
+                                        onChange={() => handleSelectProfile(key)}
+                                    />
+                                    {profile.name}
+                                </label>
+                                {isActive && (
+                                    <span className="text-xs font-medium text-indigo-600">Active</span>
+                                )}
+                            </div>
+
+                            <div className="flex gap-2">
+                                <input
+                                    type="url"
+                                    value={drafts[key] || ''}
+                                    onChange={(e) => setDrafts(prev => ({ ...prev, [key]: e.target.value }))}
+                                    placeholder="https://api.example.com/api"
+                                    className="flex-1 min-w-0 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-700 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                                />
+                                <button
+                                    onClick={() => handleSaveUrl(key)}
+                                    disabled={!isDirty || savingProfile !== null}
+                                    className="px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white text-xs font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    {savingProfile === key ? 'Checking...' : 'Test & Save'}
+                                </button>
+                            </div>
+
+                            {status?.profile === key && (
+                                <p className={`flex items-center gap-1 mt-2 text-xs ${status.type === 'success' ? 'text-emerald-600' : 'text-red-600'}`}>
+                                    {status.type === 'success'
+                                        ? <FiCheck className="w-3.5 h-3.5" />
+                                        : <FiAlertCircle className="w-3.5 h-3.5" />}
+                                    {status.text}
+                                </p>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="flex items-center gap-2 mt-6 mb-3">
+                <FiSidebar className="w-4 h-4 text-indigo-600" />
+                <h2 className="font-semibold text-slate-800 text-sm">Open SalesHub in</h2>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+                {[
+                    { key: 'popup', label: 'Popup', hint: 'Closes when you click the page' },
+                    { key: 'sidepanel', label: 'Side panel', hint: 'Stays open next to HubSpot' },
+                ].map(option => (
+                    <label
+                        key={option.key}
+                        className={`p-3 rounded-xl border cursor-pointer transition-all duration-200 ${settings.preferences.uiSurface === option.key
+                            ? 'bg-gradient-to-r from-blue-50 to-indigo-50 border-blue-200/50 shadow-sm'
+                            : 'bg-white border-slate-200'
+                            }`}
+                    >
+                        <span className="flex items-center gap-2 text-sm font-medium text-slate-700">
+                            <input
+                                type="radio"
+                                name="ui-surface"
+                                checked={settings.preferences.uiSurface === option.key}
+                                onChange={() => handleSelectSurface(option.key)}
+                            />
+                            {option.label}
+                        </span>
+                        <span className="block mt-1 text-xs text-slate-400">{option.hint}</span>
+                    </label>
+                ))}
+            </div>
+            {surfaceError && (
+                <p className="flex items-center gap-1 mt-2 text-xs text-red-600">
+                    <FiAlertCircle className="w-3.5 h-3.5" />
+                    {surfaceError}
+                </p>
+            )}
+
+            <div className="flex items-center gap-2 mt-6 mb-3">
+                <FiMessageSquare className="w-4 h-4 text-indigo-600" />
+                <h2 className="font-semibold text-slate-800 text-sm">Chat</h2>
+            </div>
+            <label className="flex items-start justify-between gap-3 p-3 rounded-xl border border-slate-200 bg-white cursor-pointer">
+                <div>
+                    <p className="text-sm font-medium text-slate-700">Stream responses</p>
+                    <p className="text-xs text-slate-400">Show replies as they are written. Falls back automatically if the backend can't stream.</p>
+                </div>
+                <input
+                    type="checkbox"
+                    className="mt-1"
+                    checked={settings.preferences.streamResponses}
+                    onChange={(e) => settingsService.setPreference('streamResponses', e.target.checked)}
+                />
+            </label>
+            <div className="mt-3 p-3 rounded-xl border border-slate-200 bg-white">
+                <p className="text-sm font-medium text-slate-700">Conversation memory</p>
+                <p className="text-xs text-slate-400 mb-3">How much of the current chat is sent with each message, so follow-ups like "make it shorter" work.</p>
+                <div className="flex gap-3">
+                    <label className="flex-1 text-xs text-slate-500">
+                        Previous exchanges
+                        <input
+                            type="number"
+                            min="0"
+                            max="20"
+                            key={settings.preferences.contextTurns}
+                            defaultValue={settings.preferences.contextTurns}
+                            onBlur={(e) => handleNumberPreference('contextTurns', e.target, 0, 20)}
+                            className="mt-1 w-full rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-700 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                        />
+                    </label>
+                    <label className="flex-1 text-xs text-slate-500">
+                        Character budget
+                        <input
+                            type="number"
+                            min="500"
+                            max="20000"
+                            step="500"
+                            key={settings.preferences.contextCharBudget}
+                            defaultValue={settings.preferences.contextCharBudget}
+                            onBlur={(e) => handleNumberPreference('contextCharBudget', e.target, 500, 20000)}
+                            className="mt-1 w-full rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-700 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                        />
+                    </label>
+                </div>
+            </div>
+
+            <div className="flex items-center gap-2 mt-6 mb-3">
+                <FiDatabase className="w-4 h-4 text-indigo-600" />
+                <h2 className="font-semibold text-slate-800 text-sm">Storage</h2>
+            </div>
+            <div className="p-3 rounded-xl border border-slate-200 bg-white">
+                {storageStatus ? (
+                    <>
+                        <div className="flex items-center justify-between text-xs mb-1.5">
+                            <span className="text-slate-500">Chat history and extension data</span>
+                            <span className={storageStatus.nearQuota ? 'font-medium text-amber-600' : 'text-slate-500'}>
+                                {utils.formatBytes(storageStatus.usage)} of {utils.formatBytes(storageStatus.quota)}
+                            </span>
+                        </div>
+                        <div className="h-1.5 rounded-full bg-slate-100 overflow-hidden">
+                            <div
+                                className={`h-full rounded-full ${storageStatus.nearQuota ? 'bg-amber-500' : 'bg-indigo-500'}`}
+                                style={{ width: `${Math.min(100, Math.max(1, storageStatus.ratio * 100))}%` }}
+                            />
+                        </div>
+                    </>
+                ) : (
+                    <p className="text-xs text-slate-400">Storage usage is not available in this browser.</p>
+                )}
+
+                <div className="flex flex-wrap gap-2 mt-3">
+                    <button
+                        onClick={() => handleDeleteOlderThan(90)}
+                        className="px-3 py-1.5 rounded-lg border border-slate-200 text-xs font-medium text-slate-600 hover:bg-slate-50 transition-colors"
+                    >
+                        Trash chats older than 90 days
+                    </button>
+                    <button
+                        onClick={() => handleDeleteOlderThan(30)}
+                        className="px-3 py-1.5 rounded-lg border border-slate-200 text-xs font-medium text-slate-600 hover:bg-slate-50 transition-colors"
+                    >
+                        Older than 30 days
+                    </button>
+                    <button
+                        onClick={handleDeleteAllChats}
+                        className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium text-red-600 hover:bg-red-50 transition-colors"
+                    >
+                        <FiTrash2 className="w-3.5 h-3.5" />
+                        Delete all chats
+                    </button>
+                </div>
+                {cleanupMessage && (
+                    <p className="mt-2 text-xs text-slate-500">{cleanupMessage}</p>
+                )}
+                <label className="block mt-3 text-xs text-slate-500">
+                    Empty chats from the trash after (days)
+                    <input
+                        type="number"
+                        min="1"
+                        max="365"
+                        key={settings.preferences.trashRetentionDays}
+                        defaultValue={settings.preferences.trashRetentionDays}
+                        onBlur={(e) => handleNumberPreference('trashRetentionDays', e.target, 1, 365)}
+                        className="mt-1 w-full rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-700 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                    />
+                </label>
+            </div>
+
+            <PromptTemplates templatePrompts={settings.preferences.templatePrompts} />
+
+            <BackupRestore onRestored={onChatsCleanedUp} />
+        </div>
+    );
+};
+
+export default SettingsPanel;
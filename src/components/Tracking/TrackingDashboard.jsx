@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { trackingService, utils } from "../../services/api";
+import { trackingService } from "../../services/api";
 import {
     FiGlobe,
     FiClock,
@@ -18,37 +18,10 @@ const TrackingDashboard = () => {
     const [activeTab, setActiveTab] = useState("overview");
     const [periodDays, setPeriodDays] = useState(1);
 
-    // Sync user ID with background script on mount
-    useEffect(() => {
-        syncUserIdToBackground();
-        loadData();
-    }, []);
-
     useEffect(() => {
         loadData();
     }, [periodDays]);
 
-    // Sync user ID from frontend localStorage to background script's chrome.storage
-    const syncUserIdToBackground = () => {
-        const userId = utils.getUserId();
-        if (chrome?.runtime?.sendMessage) {
-            try {
-                chrome.runtime.sendMessage(
-                    { type: 'SYNC_USER_ID', userId: userId },
-                    (response) => {
-                        if (chrome.runtime.lastError) {
-                            console.log('[Tracking] Could not sync user ID:', chrome.runtime.lastError.message);
-                        } else {
-                            console.log('[Tracking] User ID synced to background:', userId);
-                        }
-                    }
-                );
-            } catch (error) {
-                console.log('[Tracking] Error syncing user ID:', error);
-            }
-        }
-    };
-
     const loadData = async () => {
         setLoading(true);
         try {
@@ -1,15 +1,41 @@
 /**
  * useHubSpotContext Hook
- * Fetches HubSpot deal context from background script and API
+ * Fetches HubSpot record context (contact, company, deal or ticket) from background script and API
  */
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import api from '../services/api';
+import { settingsService } from '../services/settings';
 
-const API_BASE_URL = 'http://localhost:5000/api';
+const HUBSPOT_CONTEXT_PORT = 'hubspot-context'; // Port name broadcast by background.js
+const RECONNECT_DELAY_MS = 1000;
+
+// Backend resource and response key per HubSpot object type
+const HUBSPOT_RESOURCES = {
+    contact: { path: 'contacts', key: 'contact', label: 'Contact' },
+    company: { path: 'companies', key: 'company', label: 'Company' },
+    deal: { path: 'deals', key: 'deal', label: 'Deal' },
+    ticket: { path: 'tickets', key: 'ticket', label: 'Ticket' }
+};
+
+/**
+ * Display name for a loaded record
+ */
+function getRecordName(objectType, data) {
+    if (!data) return null;
+    if (objectType === 'contact') {
+        const fullName = [data.first_name, data.last_name].filter(Boolean).join(' ');
+        return data.name || fullName || data.email || null;
+    }
+    if (objectType === 'ticket') {
+        return data.subject || data.name || null;
+    }
+    return data.name || null;
+}
 
 /**
  * Generate dynamic prompts based on deal data
  */
-function generateDynamicPrompts(deal) {
+function generateDealPrompts(deal) {
     if (!deal) return null;
 
     const prompts = [];
@@ -99,126 +125,246 @@ function generateDynamicPrompts(deal) {
 }
 
 /**
- * Hook to get HubSpot deal context
- * Does NOT auto-fetch deal data - user must call fetchDeal()
+ * Generate dynamic prompts based on contact data
+ */
+function generateContactPrompts(contact) {
+    const name = getRecordName('contact', contact) || 'Contact';
+    const prompts = [
+        { emoji: "👋", text: "Draft intro to this contact", category: "Outreach", contextHint: name },
+        { emoji: "🔍", text: "Research this contact", category: "Research", contextHint: contact.job_title || name }
+    ];
+
+    if (contact.company) {
+        prompts.push({ emoji: "🏢", text: "Research their company", category: "Research", contextHint: contact.company });
+    }
+
+    prompts.push({ emoji: "📧", text: "Write a follow-up email", category: "Email", contextHint: name });
+    prompts.push({ emoji: "🤝", text: "Meeting request email", category: "Email", contextHint: name });
+    prompts.push({ emoji: "💡", text: "Likely objections and responses", category: "Objection", contextHint: "For this contact" });
+
+    return prompts.slice(0, 6);
+}
+
+/**
+ * Generate dynamic prompts based on company data
+ */
+function generateCompanyPrompts(company) {
+    const name = getRecordName('company', company) || 'Company';
+    const prompts = [
+        { emoji: "🔍", text: "Research this company", category: "Research", contextHint: name },
+        { emoji: "🎯", text: "Find decision makers to target", category: "Prospecting", contextHint: company.industry || name },
+        { emoji: "💡", text: "Draft account-based outreach", category: "Outreach", contextHint: name }
+    ];
+
+    if (company.activities && company.activities.length > 0) {
+        prompts.push({ emoji: "📊", text: "Summarize recent activities", category: "Activities", contextHint: `${company.activities.length} activities` });
+    }
+
+    prompts.push({ emoji: "📈", text: "Spot upsell opportunities", category: "Strategy", contextHint: name });
+    prompts.push({ emoji: "🎯", text: "Suggest next steps", category: "Strategy", contextHint: "For this account" });
+
+    return prompts.slice(0, 6);
+}
+
+/**
+ * Generate dynamic prompts based on ticket data
+ */
+function generateTicketPrompts(ticket) {
+    const subject = getRecordName('ticket', ticket) || 'Ticket';
+    return [
+        { emoji: "📋", text: "Summarize this ticket", category: "Summary", contextHint: subject.substring(0, 30) },
+        { emoji: "✉️", text: "Draft a reply to the customer", category: "Email", contextHint: ticket.status || "Support" },
+        { emoji: "🛠️", text: "Suggest resolution steps", category: "Resolution", contextHint: ticket.priority || "Ticket" },
+        { emoji: "⚠️", text: "Assess churn risk", category: "Risk", contextHint: "For this account" },
+        { emoji: "📈", text: "Spot upsell opportunities", category: "Strategy", contextHint: "From this ticket" },
+        { emoji: "🤝", text: "Draft an apology email", category: "Email", contextHint: subject.substring(0, 30) }
+    ];
+}
+
+/**
+ * Generate object-appropriate prompts for a loaded HubSpot record
+ */
+function generateDynamicPrompts(objectType, data) {
+    if (!data) return null;
+    switch (objectType) {
+        case 'contact':
+            return generateContactPrompts(data);
+        case 'company':
+            return generateCompanyPrompts(data);
+        case 'ticket':
+            return generateTicketPrompts(data);
+        default:
+            return generateDealPrompts(data);
+    }
+}
+
+const isSameRecord = (a, b) =>
+    (a?.objectType || null) === (b?.objectType || null) && (a?.recordId || null) === (b?.recordId || null);
+
+/**
+ * Hook to get HubSpot record context
+ * Does NOT auto-fetch record data - user must call fetchRecord()
  */
 export function useHubSpotContext() {
-    const [dealId, setDealId] = useState(null);
-    const [deal, setDeal] = useState(null);
+    const [record, setRecord] = useState(null); // { objectType, recordId, portalId }
+    const [recordData, setRecordData] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [dynamicPrompts, setDynamicPrompts] = useState(null);
     const [fetched, setFetched] = useState(false); // Track if user has fetched
+    const recordRef = useRef(null); // Latest record, for comparing pushed updates
+    const requestIdRef = useRef(0); // Bumped per fetch and on record/profile changes; older responses are ignored
 
-    // Poll for deal ID from background script
-    const fetchDealId = useCallback(async () => {
-        try {
-            if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
-                return null;
-            }
-
-            return new Promise((resolve) => {
-                chrome.runtime.sendMessage({ type: 'GET_HUBSPOT_DEAL_ID' }, (response) => {
-                    if (chrome.runtime.lastError) {
-                        console.log('[useHubSpotContext] Error:', chrome.runtime.lastError.message);
-                        resolve(null);
-                        return;
-                    }
-                    resolve(response?.dealId || null);
-                });
-            });
-        } catch (err) {
-            console.log('[useHubSpotContext] Fetch error:', err.message);
-            return null;
-        }
-    }, []);
-
-    // Fetch deal data from API - called manually by user
-    const fetchDealData = useCallback(async (id) => {
-        if (!id) {
-            setDeal(null);
+    // Fetch record data from API - called manually by user
+    const fetchRecordData = useCallback(async (target) => {
+        const resource = target && HUBSPOT_RESOURCES[target.objectType];
+        if (!resource) {
+            setRecordData(null);
             setDynamicPrompts(null);
             return;
         }
 
+        const requestId = ++requestIdRef.current;
+        const isStale = () => requestId !== requestIdRef.current;
         setLoading(true);
         setError(null);
 
         try {
-            const response = await fetch(`${API_BASE_URL}/hubspot/deals/${id}`);
-            const data = await response.json();
+            // Shared axios instance: active backend profile + auth token
+            const response = await api.get(`/hubspot/${resource.path}/${target.recordId}`, {
+                params: target.portalId ? { portal_id: target.portalId } : undefined
+            });
+            // The user moved to another record (or refetched) while this was loading
+            if (isStale()) return;
+            const data = response.data;
 
-            if (data.success && data.deal) {
-                setDeal(data.deal);
-                setDynamicPrompts(generateDynamicPrompts(data.deal));
+            if (data.success && data[resource.key]) {
+                setRecordData(data[resource.key]);
+                setDynamicPrompts(generateDynamicPrompts(target.objectType, data[resource.key]));
                 setFetched(true);
             } else {
-                setError(data.error || 'Failed to fetch deal');
-                setDeal(null);
+                setError(data.error || `Failed to fetch ${target.objectType}`);
+                setRecordData(null);
                 setDynamicPrompts(null);
             }
         } catch (err) {
+            if (isStale()) return;
             console.error('[useHubSpotContext] API error:', err);
-            setError(err.message);
-            setDeal(null);
+            setError(err.response?.data?.error || err.message);
+            setRecordData(null);
             setDynamicPrompts(null);
         } finally {
-            setLoading(false);
+            if (!isStale()) {
+                setLoading(false);
+            }
         }
     }, []);
 
-    // Poll for deal ID changes (but don't auto-fetch data)
+    // Subscribe to record changes pushed by the background (but don't auto-fetch data)
     useEffect(() => {
-        let isMounted = true;
+        if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.connect) {
+            return;
+        }
 
-        const checkDealId = async () => {
-            const newDealId = await fetchDealId();
+        let port = null;
+        let reconnectTimer = null;
+        let disposed = false;
 
-            if (!isMounted) return;
+        const applyRecord = (newRecord) => {
+            if (isSameRecord(newRecord, recordRef.current)) return;
+            recordRef.current = newRecord;
+            requestIdRef.current++;
+            setRecord(newRecord);
+            // Reset fetch state when record changes
+            setLoading(false);
+            setFetched(false);
+            setRecordData(null);
+            setDynamicPrompts(null);
+            setError(null);
+        };
 
-            if (newDealId !== dealId) {
-                setDealId(newDealId);
-                // Reset fetch state when deal changes
-                setFetched(false);
-                setDeal(null);
-                setDynamicPrompts(null);
+        const connect = () => {
+            try {
+                port = chrome.runtime.connect({ name: HUBSPOT_CONTEXT_PORT });
+            } catch (err) {
+                console.log('[useHubSpotContext] Connect error:', err.message);
+                return;
             }
-        };
 
-        // Initial check
-        checkDealId();
+            port.onMessage.addListener((message) => {
+                if (message.type === 'HUBSPOT_RECORD_CHANGED') {
+                    applyRecord(message.record || null);
+                }
+            });
+
+            // Follow this window's active tab (a side panel stays docked to its window)
+            const connectedPort = port;
+            chrome.windows?.getCurrent()
+                .then(win => connectedPort.postMessage({ type: 'WATCH_WINDOW', windowId: win.id }))
+                .catch(() => {});
 
-        // Poll every 3 seconds
-        const interval = setInterval(checkDealId, 3000);
+            // Service worker restarts drop the port - reconnect to keep receiving updates
+            port.onDisconnect.addListener(() => {
+                if (chrome.runtime.lastError) {
+                    console.log('[useHubSpotContext] Disconnected:', chrome.runtime.lastError.message);
+                }
+                if (!disposed) {
+                    reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+                }
+            });
+        };
+
+        connect();
 
         return () => {
-            isMounted = false;
-            clearInterval(interval);
+            disposed = true;
+            clearTimeout(reconnectTimer);
+            port?.disconnect();
         };
-    }, [dealId, fetchDealId]);
+    }, []);
+
+    // Record data belongs to the backend it came from - drop it when the profile changes
+    useEffect(() => {
+        return settingsService.subscribe(() => {
+            requestIdRef.current++;
+            setLoading(false);
+            setFetched(false);
+            setRecordData(null);
+            setDynamicPrompts(null);
+            setError(null);
+        });
+    }, []);
 
     // Manual fetch function for user to call
-    const fetchDeal = useCallback(() => {
-        if (dealId) {
-            fetchDealData(dealId);
+    const fetchRecord = useCallback(() => {
+        if (record) {
+            fetchRecordData(record);
         }
-    }, [dealId, fetchDealData]);
+    }, [record, fetchRecordData]);
+
+    const objectType = record?.objectType || null;
+    const isDeal = objectType === 'deal';
 
     return {
-        dealId,
-        deal,
+        record,
+        recordType: objectType,
+        recordLabel: objectType ? HUBSPOT_RESOURCES[objectType].label : null,
+        recordData,
+        recordName: getRecordName(objectType, recordData),
+        hasRecord: !!record, // True when on a supported HubSpot record page
+        isHubSpotRecord: !!recordData, // True when record data is loaded
         loading,
         error,
         dynamicPrompts,
         fetched,
-        hasDealId: !!dealId, // True when on a HubSpot deal page
-        isHubSpotDeal: !!deal, // True when deal data is loaded
-        dealName: deal?.name || null,
-        dealStage: deal?.stage || null,
-        fetchDeal, // Manual fetch function
-        refresh: () => fetchDealData(dealId)
+        fetchRecord, // Manual fetch function
+        refresh: () => fetchRecordData(record),
+        // Deal shortcuts
+        dealId: isDeal ? record.recordId : null,
+        deal: isDeal ? recordData : null,
+        dealName: isDeal ? recordData?.name || null : null,
+        dealStage: isDeal ? recordData?.stage || null : null
     };
 }
 
 export default useHubSpotContext;
-
@@ -2,6 +2,12 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './styles/global.css'
+import { settingsService } from './services/settings'
+
+// Popup and side panel share this page; only the outer size differs (see index.html)
+if (settingsService.getCurrentSurface() === 'sidepanel') {
+  document.documentElement.classList.add('side-panel')
+}
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
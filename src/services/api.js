@@ -1,23 +1,43 @@
 import axios from "axios";
+import { settingsService, DEFAULT_API_BASE_URL } from "./settings";
+import { authService } from "./auth";
+import { chatRepository } from "./chatRepository";
+import { chatBranchService } from "./chatBranches";
 
-// Get API base URL from environment or use default
-// For local extension testing, use localhost
-const API_BASE_URL = "http://localhost:5000/api";
-
-console.log("API Base URL:", API_BASE_URL);
+// API base URL comes from the active settings profile (see services/settings.js)
+let apiBaseUrl = DEFAULT_API_BASE_URL;
 
 // Create axios instance
 const api = axios.create({
-  baseURL: API_BASE_URL,
+  baseURL: apiBaseUrl,
   headers: {
     "Content-Type": "application/json",
   },
   timeout: 30000,
 });
 
+const applyApiBaseUrl = (url) => {
+  if (url !== apiBaseUrl) {
+    console.log("API Base URL:", url);
+  }
+  apiBaseUrl = url;
+  api.defaults.baseURL = url;
+};
+
+settingsService.getApiBaseUrl().then(applyApiBaseUrl);
+settingsService.subscribe(async () => {
+  applyApiBaseUrl(await settingsService.getApiBaseUrl());
+});
+
 // Request interceptor for logging
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    // Make sure the first requests use the stored profile, not the default
+    config.baseURL = await settingsService.getApiBaseUrl();
+    const accessToken = await authService.getAccessToken();
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
     console.log(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
     return config;
   },
@@ -33,7 +53,18 @@ api.interceptors.response.use(
     console.log(`API Response: ${response.status} ${response.config.url}`);
     return response;
   },
-  (error) => {
+  async (error) => {
+    // Expired access token - refresh once and replay the request
+    const originalConfig = error.config;
+    if (error.response?.status === 401 && originalConfig && !originalConfig._retried && authService.isAuthenticated()) {
+      originalConfig._retried = true;
+      const accessToken = await authService.refreshAccessToken();
+      if (accessToken) {
+        return api(originalConfig);
+      }
+      // Refresh was rejected - authService has already signalled 'session_expired'
+    }
+
     console.error("API Response Error:", {
       message: error.message,
       url: error.config?.url,
@@ -41,7 +72,9 @@ api.interceptors.response.use(
       data: error.response?.data,
     });
 
-    if (error.code === "ECONNABORTED") {
+    if (error.response?.status === 401) {
+      error.message = "Your session has expired. Please sign in again.";
+    } else if (error.code === "ECONNABORTED") {
       error.message = "Request timeout. The server is taking too long to respond.";
     } else if (!error.response) {
       error.message = "Network error. Please check your internet connection.";
@@ -51,8 +84,13 @@ api.interceptors.response.use(
   }
 );
 
-// Generate unique user ID
+// Signed-in account ID, or an anonymous per-install ID before sign-in
 const getUserId = () => {
+  const user = authService.getUser();
+  if (user?.user_id) {
+    return user.user_id;
+  }
+
   let userId = localStorage.getItem("extension_user_id");
   if (!userId) {
     userId = "user_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
@@ -76,30 +114,22 @@ const getSessionId = () => {
 };
 
 // ========== Multi-Chat Session Management ==========
+// Chats and messages live in IndexedDB (see services/chatRepository.js);
+// only the active chat ID stays in localStorage.
 
-const CHATS_KEY = 'saleshub_chats';
 const ACTIVE_CHAT_KEY = 'saleshub_active_chat';
 
-// Get all chats from localStorage
-const getAllChats = () => {
+// Get all chats (without messages), most recently updated first
+// Chats in the trash are left out; see getTrashedChats
+const getAllChats = async () => {
   try {
-    const chats = localStorage.getItem(CHATS_KEY);
-    return chats ? JSON.parse(chats) : [];
+    return (await chatRepository.getAllChats()).filter(chat => !chat.deletedAt);
   } catch (error) {
     console.error('Error loading chats:', error);
     return [];
   }
 };
 
-// Save all chats to localStorage
-const saveAllChats = (chats) => {
-  try {
-    localStorage.setItem(CHATS_KEY, JSON.stringify(chats));
-  } catch (error) {
-    console.error('Error saving chats:', error);
-  }
-};
-
 // Get active chat ID
 const getActiveChatId = () => {
   return localStorage.getItem(ACTIVE_CHAT_KEY);
@@ -114,130 +144,331 @@ const setActiveChatId = (chatId) => {
   }
 };
 
-// Create a new chat
-const createChat = () => {
+const DRAFTS_KEY = 'saleshub_drafts'; // chatId -> unsent composer text
+
+const readDrafts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DRAFTS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Unsent composer text of a chat, kept while the popup is closed
+const getDraft = (chatId) => {
+  return readDrafts()[chatId] || '';
+};
+
+// Keep a chat's unsent text; empty text forgets it
+const saveDraft = (chatId, text) => {
+  const drafts = readDrafts();
+  if (text) {
+    drafts[chatId] = text;
+  } else if (drafts[chatId] !== undefined) {
+    delete drafts[chatId];
+  } else {
+    return;
+  }
+  localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+};
+
+// Stable ID the backend keys a chat's memory on
+const generateConversationId = () => {
+  return 'conv_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+};
+
+// Create a new chat; `sourceUrl` marks a chat started from the context menu on that page
+const createChat = async ({ sourceUrl } = {}) => {
   const chatId = 'chat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   const newChat = {
     id: chatId,
+    conversationId: generateConversationId(),
     title: 'New Chat',
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
-    messages: []
+    ...(sourceUrl && { sourceUrl }),
   };
 
-  const chats = getAllChats();
-  chats.unshift(newChat);
-  saveAllChats(chats);
+  await chatRepository.saveChat(newChat);
   setActiveChatId(chatId);
 
   return newChat;
 };
 
-// Delete a chat
-const deleteChat = (chatId) => {
-  const chats = getAllChats();
-  const filteredChats = chats.filter(chat => chat.id !== chatId);
-  saveAllChats(filteredChats);
+// Move a chat to the trash (restoreChat undoes it), returning the remaining chats
+const deleteChat = async (chatId) => {
+  await chatRepository.updateChat(chatId, { deletedAt: new Date().toISOString() });
+  const remainingChats = await getAllChats();
 
-  // If deleted chat was active, clear or set new active
+  // If deleted chat was active, clear or set new active (skipping archived chats)
   if (getActiveChatId() === chatId) {
-    if (filteredChats.length > 0) {
-      setActiveChatId(filteredChats[0].id);
-    } else {
-      setActiveChatId(null);
-    }
+    setActiveChatId(remainingChats.find(chat => !chat.archived)?.id || null);
+  }
+
+  return remainingChats;
+};
+
+// Chats in the trash, most recently deleted first
+const getTrashedChats = async () => {
+  try {
+    const chats = await chatRepository.getAllChats();
+    return chats
+      .filter(chat => chat.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    return [];
   }
+};
+
+// Take a chat back out of the trash
+const restoreChat = (chatId) => {
+  return chatRepository.updateChat(chatId, { deletedAt: null });
+};
+
+// Permanently delete chats (and their messages) from the trash
+const purgeChats = (chatIds) => {
+  chatIds.forEach(chatId => saveDraft(chatId, ''));
+  return chatRepository.deleteChats(chatIds);
+};
 
-  return filteredChats;
+// Permanently delete chats trashed more than `trashRetentionDays` ago; returns how many
+const purgeExpiredTrash = async () => {
+  const days = await settingsService.getPreference('trashRetentionDays');
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const expired = (await getTrashedChats()).filter(chat => chat.deletedAt < cutoff);
+  await purgeChats(expired.map(chat => chat.id));
+  return expired.length;
 };
 
 // Get a specific chat by ID
 const getChatById = (chatId) => {
-  const chats = getAllChats();
-  return chats.find(chat => chat.id === chatId) || null;
+  return chatRepository.getChat(chatId);
 };
 
 // Update chat title
 const updateChatTitle = (chatId, title) => {
-  const chats = getAllChats();
-  const chatIndex = chats.findIndex(chat => chat.id === chatId);
+  return chatRepository.updateChat(chatId, { title, updatedAt: new Date().toISOString() });
+};
 
-  if (chatIndex !== -1) {
-    chats[chatIndex].title = title;
-    chats[chatIndex].updatedAt = new Date().toISOString();
-    saveAllChats(chats);
-  }
+// Organizing a chat (pin, archive, tags) doesn't count as activity, so updatedAt is left alone
 
-  return chats;
+// Pinned chats are listed above the rest in the sidebar
+const setChatPinned = (chatId, pinned) => {
+  return chatRepository.updateChat(chatId, { pinned });
 };
 
-// Save message to a chat
-const saveMessageToChat = (chatId, message) => {
-  const chats = getAllChats();
-  const chatIndex = chats.findIndex(chat => chat.id === chatId);
+// Archived chats leave the main list (and lose their pin) until restored
+const setChatArchived = (chatId, archived) => {
+  return chatRepository.updateChat(chatId, (chat) => ({
+    archived,
+    pinned: archived ? false : chat.pinned,
+  }));
+};
 
-  if (chatIndex !== -1) {
-    chats[chatIndex].messages.push(message);
-    chats[chatIndex].updatedAt = new Date().toISOString();
+const MAX_TAG_LENGTH = 30;
+
+// Replace a chat's tags; trims them and drops duplicates (case-insensitive)
+const setChatTags = (chatId, tags) => {
+  const seen = new Set();
+  const cleanTags = tags
+    .map(tag => tag.trim().substring(0, MAX_TAG_LENGTH))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  return chatRepository.updateChat(chatId, { tags: cleanTags });
+};
 
+// Every tag in use across the given chats, alphabetically
+const getChatTags = (chats) => {
+  const tags = new Map(); // lowercase -> first spelling seen
+  chats.forEach(chat => (chat.tags || []).forEach(tag => {
+    if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+  }));
+  return [...tags.values()].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Save message to a chat. Rejects if storage is full (QuotaExceededError),
+ * after the repository has broadcast a storage warning.
+ * @param {Object} [hubspotRecord] - Record open when the message was sent (indexes deal chats)
+ */
+const saveMessageToChat = (chatId, message, hubspotRecord = null) => {
+  return chatRepository.addMessage(chatId, message, {
+    hubspotRecord,
     // Update title from first user message if still "New Chat"
-    if (chats[chatIndex].title === 'New Chat' && message.type === 'user') {
+    applyToChat: (chat) => {
+      if (chat.title !== 'New Chat' || message.type !== 'user') return {};
       const truncatedTitle = message.message.length > 30
         ? message.message.substring(0, 30) + '...'
         : message.message;
-      chats[chatIndex].title = truncatedTitle;
-    }
-
-    saveAllChats(chats);
-  }
+      return { title: truncatedTitle };
+    },
+  });
+};
 
-  return chats;
+/**
+ * Choose which sibling a fork shows (see services/chatBranches.js);
+ * null goes back to the newest one. Like organizing, this leaves updatedAt alone.
+ */
+const selectBranch = (chatId, branchKey, messageId) => {
+  return chatRepository.updateChat(chatId, (chat) => {
+    const branchSelections = { ...chat.branchSelections };
+    if (messageId === null) {
+      delete branchSelections[branchKey];
+    } else {
+      branchSelections[branchKey] = messageId;
+    }
+    return { branchSelections };
+  });
 };
 
 // Get messages for a specific chat
-const getChatMessages = (chatId) => {
-  const chat = getChatById(chatId);
-  return chat ? chat.messages : [];
+const getChatMessages = async (chatId) => {
+  try {
+    return await chatRepository.getMessages(chatId);
+  } catch (error) {
+    console.error('Error loading messages:', error);
+    return [];
+  }
 };
 
 // Clear messages for a specific chat
 const clearChatMessages = (chatId) => {
-  const chats = getAllChats();
-  const chatIndex = chats.findIndex(chat => chat.id === chatId);
-
-  if (chatIndex !== -1) {
-    chats[chatIndex].messages = [];
-    chats[chatIndex].title = 'New Chat';
-    chats[chatIndex].updatedAt = new Date().toISOString();
-    saveAllChats(chats);
+  return chatRepository.clearMessages(chatId, {
+    title: 'New Chat',
+    // A cleared chat starts a fresh conversation on the backend too
+    conversationId: generateConversationId(),
+    branchSelections: {},
+  });
+};
+
+// Get a chat's conversation ID, assigning one to chats created before it existed
+const getConversationId = async (chatId) => {
+  const chat = await chatRepository.getChat(chatId);
+  if (!chat) return null;
+
+  if (!chat.conversationId) {
+    const updated = await chatRepository.updateChat(chatId, { conversationId: generateConversationId() });
+    return updated.conversationId;
+  }
+  return chat.conversationId;
+};
+
+/**
+ * Build the conversation context sent with the next message of a chat:
+ * its conversation ID plus the most recent prior turns of the selected branch,
+ * oldest first, limited to `contextTurns` exchanges and `contextCharBudget` characters.
+ * Call before the new user message is saved so it isn't included twice. When
+ * resending an existing prompt (regenerate, edit), pass the message it follows as
+ * `afterMessageId` - null for the chat's first message - so later turns are left out.
+ * Pass the `branchSelections` the UI shows, so a switch still being saved counts.
+ */
+const getConversationContext = async (chatId, { afterMessageId, branchSelections } = {}) => {
+  const conversationId = await getConversationId(chatId);
+  if (!conversationId) return null;
+
+  const settings = await settingsService.getSettings();
+  const { contextTurns, contextCharBudget } = settings.preferences;
+
+  const [chat, messages] = await Promise.all([getChatById(chatId), getChatMessages(chatId)]);
+  const thread = chatBranchService.getActiveThread(messages, branchSelections || chat?.branchSelections);
+  const endIndex = afterMessageId === undefined
+    ? thread.length
+    : thread.findIndex(msg => msg.id === afterMessageId) + 1; // 0 when null: nothing comes before
+
+  const candidates = thread.slice(0, endIndex)
+    .filter(msg => !msg.isError && !msg.isStreaming && msg.message)
+    .slice(-Math.max(0, contextTurns) * 2);
+
+  // Walk back from the newest turn until the budget is spent
+  const history = [];
+  let usedChars = 0;
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const content = candidates[i].message;
+    if (usedChars + content.length > contextCharBudget) break;
+    usedChars += content.length;
+    history.unshift({
+      role: candidates[i].type === 'user' ? 'user' : 'assistant',
+      content,
+    });
+  }
+
+  return { conversationId, history };
+};
+
+// Build the /chat/send and /chat/stream request body
+// (`metadata` describes a slash command's request: intent, tone, ...)
+const buildChatPayload = (message, hubspotRecord, conversation, metadata = null) => {
+  const payload = {
+    message,
+    user_id: getUserId(),
+    // Per-chat conversation ID; the daily session ID is only used outside a chat
+    session_id: conversation?.conversationId || getSessionId(),
+  };
+
+  if (conversation) {
+    payload.conversation_id = conversation.conversationId;
+    payload.history = conversation.history;
+  }
+
+  if (metadata) {
+    payload.metadata = metadata;
   }
 
-  return chats;
+  // Add the open HubSpot record (contact, company, deal or ticket) if available
+  if (hubspotRecord) {
+    payload.hubspot_object_type = hubspotRecord.objectType;
+    payload.hubspot_record_id = hubspotRecord.recordId;
+    payload.hubspot_portal_id = hubspotRecord.portalId;
+    if (hubspotRecord.objectType === "deal") {
+      payload.hubspot_deal_id = hubspotRecord.recordId;
+    }
+  }
+
+  return payload;
 };
 
+// Result for a request the user stopped
+const abortedChatResult = () => ({
+  success: false,
+  response: "",
+  message_id: "stopped_" + crypto.randomUUID(),
+  timestamp: new Date().toISOString(),
+  aborted: true,
+});
+
+const isAbortError = (error) => axios.isCancel(error) || error?.name === "AbortError";
+
 // Chat API calls
 export const chatService = {
-  sendMessage: async (message, dealId = null) => {
-    const payload = {
-      message,
-      user_id: getUserId(),
-      session_id: getSessionId(),
-    };
-
-    // Add HubSpot deal ID if available
-    if (dealId) {
-      payload.hubspot_deal_id = dealId;
-    }
+  // Request body for /chat/send and /chat/stream (also sent to the background worker)
+  buildPayload: buildChatPayload,
+
+  /**
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request (resolves with `aborted: true`)
+   * @param {{conversationId: string, history: Array}} [options.conversation] - From utils.getConversationContext
+   * @param {Object} [options.metadata] - Slash command metadata (see services/slashCommands.js)
+   */
+  sendMessage: async (message, hubspotRecord = null, { signal, conversation, metadata } = {}) => {
+    const payload = buildChatPayload(message, hubspotRecord, conversation, metadata);
 
     try {
-      const response = await api.post("/chat/send", payload);
+      const response = await api.post("/chat/send", payload, { signal });
       return response.data;
     } catch (error) {
+      if (isAbortError(error)) {
+        return abortedChatResult();
+      }
       console.error("Chat error:", error);
       return {
         success: false,
         response: "I'm having trouble connecting to the AI service. Please check your internet connection and try again.",
-        message_id: "error_" + Date.now(),
+        message_id: "error_" + crypto.randomUUID(),
         timestamp: new Date().toISOString(),
         offline: true,
       };
@@ -258,6 +489,15 @@ export const chatService = {
     }
   },
 
+  /**
+   * POST a message rating to /chat/feedback (in the extension the background
+   * worker sends it instead, queueing it while offline - see services/feedback.js)
+   */
+  sendFeedback: async (feedback) => {
+    const response = await api.post("/chat/feedback", { ...feedback, user_id: getUserId() });
+    return response.data;
+  },
+
   testConnection: async () => {
     try {
       const response = await api.get("/chat/test");
@@ -352,13 +592,26 @@ export const utils = {
   getAllChats,
   createChat,
   deleteChat,
+  getTrashedChats,
+  restoreChat,
+  purgeChats,
+  purgeExpiredTrash,
   getChatById,
   updateChatTitle,
+  setChatPinned,
+  setChatArchived,
+  setChatTags,
+  getChatTags,
   saveMessageToChat,
   getChatMessages,
+  selectBranch,
   clearChatMessages,
+  getConversationId,
+  getConversationContext,
   getActiveChatId,
   setActiveChatId,
+  getDraft,
+  saveDraft,
   truncateText: (text, maxLength = 50) => {
     if (!text) return "";
     if (text.length <= maxLength) return text;
@@ -387,6 +640,13 @@ export const utils = {
       return "Invalid time";
     }
   },
+  formatBytes: (bytes) => {
+    if (!bytes) return "0 B";
+    const units = ["B", "KB", "MB", "GB"];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, exponent);
+    return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+  },
   formatDate: (timestamp) => {
     if (!timestamp) return "";
     try {
@@ -397,7 +657,7 @@ export const utils = {
       return "Invalid date";
     }
   },
-  getApiBaseUrl: () => API_BASE_URL,
+  getApiBaseUrl: () => apiBaseUrl,
 };
 
 export default api;
\ No newline at end of file
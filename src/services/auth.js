@@ -0,0 +1,264 @@
+/**
+ * Authentication against the SalesHub backend.
+ * The access token lives in chrome.storage.session (cleared when the browser closes),
+ * the refresh token and signed-in user in chrome.storage.local. background.js reads
+ * the same keys and performs token refreshes for every context (AUTH_REFRESH message),
+ * so a rotating refresh token is never spent twice.
+ */
+import axios from 'axios';
+import { settingsService } from './settings';
+import { hasChromeStorage } from './extensionStorage';
+
+export const AUTH_KEY = 'saleshub_auth';
+export const ACCESS_TOKEN_KEY = 'saleshub_access_token';
+const MIGRATED_IDS_KEY = 'saleshub_migrated_anonymous_ids';
+const ANONYMOUS_USER_ID_KEY = 'extension_user_id';
+
+const hasBackground = () =>
+  typeof chrome !== 'undefined' && !!chrome.runtime && !!chrome.runtime.sendMessage;
+
+let cachedAuth = null;       // { refreshToken, user }
+let cachedAccessToken = null;
+let loaded = false;
+let refreshPromise = null;
+const listeners = new Set();
+
+// Bare axios client - the shared instance in api.js would recurse through its own 401 handling
+const authClient = axios.create({
+  headers: { 'Content-Type': 'application/json' },
+  timeout: 15000,
+});
+
+const readStorage = async (area, key) => {
+  if (hasChromeStorage()) {
+    const storageArea = area === 'session' && chrome.storage.session ? chrome.storage.session : chrome.storage.local;
+    const result = await storageArea.get([key]);
+    return result[key] ?? null;
+  }
+  const store = area === 'session' ? sessionStorage : localStorage;
+  const raw = store.getItem(key);
+  return raw ? JSON.parse(raw) : null;
+};
+
+const writeStorage = async (area, key, value) => {
+  if (hasChromeStorage()) {
+    const storageArea = area === 'session' && chrome.storage.session ? chrome.storage.session : chrome.storage.local;
+    if (value === null) {
+      await storageArea.remove(key);
+    } else {
+      await storageArea.set({ [key]: value });
+    }
+    return;
+  }
+  const store = area === 'session' ? sessionStorage : localStorage;
+  if (value === null) {
+    store.removeItem(key);
+  } else {
+    store.setItem(key, JSON.stringify(value));
+  }
+};
+
+const notify = (event) => {
+  listeners.forEach((listener) => listener(event, cachedAuth?.user || null));
+};
+
+const storeSession = async ({ access_token, refresh_token, user }) => {
+  cachedAccessToken = access_token;
+  cachedAuth = {
+    refreshToken: refresh_token || cachedAuth?.refreshToken || null,
+    user: user || cachedAuth?.user || null,
+  };
+  await writeStorage('session', ACCESS_TOKEN_KEY, access_token);
+  await writeStorage('local', AUTH_KEY, cachedAuth);
+};
+
+const clearSession = async () => {
+  cachedAccessToken = null;
+  cachedAuth = null;
+  await writeStorage('session', ACCESS_TOKEN_KEY, null);
+  await writeStorage('local', AUTH_KEY, null);
+};
+
+// Keep every open popup/panel in step with sign-ins, refreshes and sign-outs elsewhere
+if (hasChromeStorage() && chrome.storage.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes[ACCESS_TOKEN_KEY]) {
+      cachedAccessToken = changes[ACCESS_TOKEN_KEY].newValue || null;
+    }
+    if (areaName === 'local' && changes[AUTH_KEY]) {
+      const wasSignedIn = !!cachedAuth?.user;
+      cachedAuth = changes[AUTH_KEY].newValue || null;
+      if (wasSignedIn !== !!cachedAuth?.user) {
+        notify(cachedAuth?.user ? 'signed_in' : 'signed_out');
+      }
+    }
+  });
+}
+
+/**
+ * @returns {Promise<{accessToken: string|null, rejected: boolean}>}
+ *   rejected is true when the backend refused the refresh token (sign-in required),
+ *   false for network errors where the session should be kept
+ */
+const refreshDirectly = async () => {
+  if (!cachedAuth?.refreshToken) return { accessToken: null, rejected: true };
+  try {
+    const apiBaseUrl = await settingsService.getApiBaseUrl();
+    const response = await authClient.post(`${apiBaseUrl}/auth/refresh`, {
+      refresh_token: cachedAuth.refreshToken,
+    });
+    await storeSession(response.data);
+    return { accessToken: response.data.access_token, rejected: false };
+  } catch (error) {
+    console.error('Token refresh failed:', error.message);
+    const status = error.response?.status;
+    return { accessToken: null, rejected: status === 400 || status === 401 || status === 403 };
+  }
+};
+
+// Resolves null when the background is unreachable (e.g. `vite dev` outside the extension)
+const refreshViaBackground = () =>
+  new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'AUTH_REFRESH' }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        console.log('Could not reach background for token refresh:', chrome.runtime.lastError?.message);
+        resolve(null);
+        return;
+      }
+      resolve({ accessToken: response.accessToken || null, rejected: !!response.rejected });
+    });
+  });
+
+/**
+ * Collect the anonymous IDs this install used before signing in
+ * (popup localStorage and the background's chrome.storage copy)
+ */
+const getAnonymousUserIds = async () => {
+  const ids = new Set();
+  const popupId = localStorage.getItem(ANONYMOUS_USER_ID_KEY);
+  if (popupId) ids.add(popupId);
+  if (hasChromeStorage()) {
+    const result = await chrome.storage.local.get([ANONYMOUS_USER_ID_KEY]);
+    if (result[ANONYMOUS_USER_ID_KEY]) ids.add(result[ANONYMOUS_USER_ID_KEY]);
+  }
+  return [...ids];
+};
+
+export const authService = {
+  /**
+   * Load the stored session once per context
+   */
+  init: async () => {
+    if (!loaded) {
+      cachedAuth = await readStorage('local', AUTH_KEY);
+      cachedAccessToken = await readStorage('session', ACCESS_TOKEN_KEY);
+      loaded = true;
+    }
+    return cachedAuth?.user || null;
+  },
+
+  getUser: () => cachedAuth?.user || null,
+
+  isAuthenticated: () => !!cachedAuth?.user,
+
+  getAccessToken: async () => {
+    await authService.init();
+    if (!cachedAccessToken && cachedAuth?.refreshToken) {
+      // Browser restart cleared the session token - mint a new one
+      return authService.refreshAccessToken();
+    }
+    return cachedAccessToken;
+  },
+
+  login: async (email, password) => {
+    const apiBaseUrl = await settingsService.getApiBaseUrl();
+    try {
+      const response = await authClient.post(`${apiBaseUrl}/auth/login`, { email, password });
+      if (!response.data?.access_token) {
+        throw new Error(response.data?.error || 'Login failed');
+      }
+      await storeSession(response.data);
+      notify('signed_in');
+      await authService.migrateAnonymousHistory();
+      return cachedAuth.user;
+    } catch (error) {
+      const message = error.response?.data?.error
+        || (error.response?.status === 401 ? 'Incorrect email or password' : error.message);
+      throw new Error(message);
+    }
+  },
+
+  logout: async () => {
+    try {
+      const apiBaseUrl = await settingsService.getApiBaseUrl();
+      if (cachedAuth?.refreshToken) {
+        await authClient.post(`${apiBaseUrl}/auth/logout`, { refresh_token: cachedAuth.refreshToken });
+      }
+    } catch (error) {
+      // Server-side revoke is best effort - the local session is cleared regardless
+      console.log('Logout request failed:', error.message);
+    }
+    await clearSession();
+    notify('signed_out');
+  },
+
+  /**
+   * Exchange the refresh token for a new access token.
+   * Concurrent callers share one request; the background performs it when available.
+   * @returns {Promise<string|null>} New access token, or null if the user must sign in again
+   */
+  refreshAccessToken: () => {
+    if (!refreshPromise) {
+      refreshPromise = (async () => {
+        await authService.init();
+        const result = (hasBackground() && await refreshViaBackground()) || await refreshDirectly();
+        if (result.accessToken) {
+          cachedAccessToken = result.accessToken;
+          cachedAuth = await readStorage('local', AUTH_KEY);
+        } else if (result.rejected) {
+          await clearSession();
+          notify('session_expired');
+        }
+        return result.accessToken;
+      })().finally(() => {
+        refreshPromise = null;
+      });
+    }
+    return refreshPromise;
+  },
+
+  /**
+   * Move chat and tracking history recorded under anonymous IDs to the signed-in account.
+   * Runs once per anonymous ID; failures are retried on the next sign-in.
+   */
+  migrateAnonymousHistory: async () => {
+    const anonymousIds = await getAnonymousUserIds();
+    const migrated = (await readStorage('local', MIGRATED_IDS_KEY)) || [];
+    const pending = anonymousIds.filter((id) => !migrated.includes(id));
+    if (pending.length === 0) return;
+
+    try {
+      const apiBaseUrl = await settingsService.getApiBaseUrl();
+      await authClient.post(
+        `${apiBaseUrl}/auth/migrate`,
+        { anonymous_user_ids: pending },
+        { headers: { Authorization: `Bearer ${cachedAccessToken}` } }
+      );
+      await writeStorage('local', MIGRATED_IDS_KEY, [...migrated, ...pending]);
+      console.log('Migrated anonymous history:', pending);
+    } catch (error) {
+      console.error('Anonymous history migration failed:', error.message);
+    }
+  },
+
+  /**
+   * Subscribe to auth events: 'signed_in', 'signed_out', 'session_expired'
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default authService;
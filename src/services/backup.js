@@ -0,0 +1,177 @@
+import { chatRepository } from './chatRepository';
+import { settingsService } from './settings';
+import { promptTemplateService } from './promptTemplates';
+import { utils } from './api';
+import { downloadFile } from './downloads';
+import { hasChromeStorage } from './extensionStorage';
+
+// Backup and restore of everything worth keeping across reinstalls or laptops:
+// chats (with messages), the active chat, settings, prompt templates and the
+// anonymous user ID.
+// Sign-in tokens are never included - restoring means signing in again.
+
+const BACKUP_FORMAT = 'saleshub-backup';
+const BACKUP_VERSION = 1; // Bump when the archive layout changes; older archives must stay readable
+const USER_ID_KEY = 'extension_user_id'; // Same key in popup localStorage and chrome.storage.local
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// The popup and the background worker each keep a copy of the anonymous user ID
+const readUserIds = async () => {
+  const userIds = { popup: localStorage.getItem(USER_ID_KEY) };
+  if (hasChromeStorage()) {
+    const result = await chrome.storage.local.get([USER_ID_KEY]);
+    userIds.extension = result[USER_ID_KEY] || null;
+  }
+  return userIds;
+};
+
+const writeUserIds = async ({ popup, extension }) => {
+  const popupId = popup || extension;
+  const extensionId = extension || popup;
+  if (popupId) localStorage.setItem(USER_ID_KEY, popupId);
+  if (extensionId && hasChromeStorage()) {
+    await chrome.storage.local.set({ [USER_ID_KEY]: extensionId });
+  }
+};
+
+/**
+ * Check an archive's layout
+ * @throws {Error} With a message for the user if it isn't a usable backup
+ */
+const validateArchive = (archive) => {
+  if (!isObject(archive) || archive.format !== BACKUP_FORMAT || !isObject(archive.data)) {
+    throw new Error('This file is not a SalesHub backup');
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    throw new Error('This backup has no valid version number');
+  }
+  if (archive.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of SalesHub - update the extension first');
+  }
+
+  const { chats, settings, userIds, promptTemplates } = archive.data;
+  if (!Array.isArray(chats)) {
+    throw new Error('This backup has no chat list');
+  }
+  chats.forEach((chat, index) => {
+    const validMessages = Array.isArray(chat?.messages)
+      && chat.messages.every(message => isObject(message) && typeof message.message === 'string');
+    if (!isObject(chat) || typeof chat.id !== 'string' || !validMessages) {
+      throw new Error(`Chat ${index + 1} in this backup is damaged`);
+    }
+  });
+  if (settings !== undefined && settings !== null && !isObject(settings)) {
+    throw new Error('The settings in this backup are damaged');
+  }
+  // Backups from before the template library have none
+  if (promptTemplates !== undefined && !Array.isArray(promptTemplates)) {
+    throw new Error('The prompt templates in this backup are damaged');
+  }
+  if (userIds !== undefined && userIds !== null && !isObject(userIds)) {
+    throw new Error('The user ID in this backup is damaged');
+  }
+};
+
+export const backupService = {
+  /**
+   * Build a versioned archive of all extension data
+   * @returns {Promise<Object>} `{ format, version, createdAt, data: { chats, activeChatId, settings, promptTemplates, userIds } }`
+   */
+  createBackup: async () => {
+    const [chats, settings, promptTemplates, userIds] = await Promise.all([
+      chatRepository.exportChats(),
+      settingsService.getSettings(),
+      promptTemplateService.getTemplates(),
+      readUserIds(),
+    ]);
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      data: {
+        chats,
+        activeChatId: utils.getActiveChatId(),
+        settings,
+        promptTemplates,
+        userIds,
+      },
+    };
+  },
+
+  // Write a backup to the Downloads folder; returns the file name
+  downloadBackup: async () => {
+    const archive = await backupService.createBackup();
+    const fileName = `saleshub-backup-${archive.createdAt.slice(0, 10)}.json`;
+    await downloadFile(JSON.stringify(archive, null, 2), fileName, 'application/json');
+    return fileName;
+  },
+
+  /**
+   * Parse and validate a backup file, and summarize what restoring it would import
+   * @returns {Promise<{archive: Object, preview: Object}>}
+   * @throws {Error} If the file isn't a valid backup
+   */
+  readBackup: async (text) => {
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch {
+      throw new Error('This file is not valid JSON');
+    }
+    validateArchive(archive);
+
+    const { chats, settings, userIds, promptTemplates } = archive.data;
+    const currentIds = new Set((await chatRepository.getAllChats()).map(chat => chat.id));
+    const activeProfile = settings?.profiles?.[settings.activeProfile];
+
+    return {
+      archive,
+      preview: {
+        createdAt: archive.createdAt || null,
+        chatCount: chats.length,
+        messageCount: chats.reduce((total, chat) => total + chat.messages.length, 0),
+        existingChatCount: chats.filter(chat => currentIds.has(chat.id)).length,
+        settings: settings
+          ? { profileName: activeProfile?.name || settings.activeProfile, apiBaseUrl: activeProfile?.apiBaseUrl || '' }
+          : null,
+        templateCount: promptTemplates?.length || 0,
+        userId: userIds?.extension || userIds?.popup || null,
+      },
+    };
+  },
+
+  /**
+   * Restore a validated archive
+   * @param {Object} options
+   * @param {'merge'|'replace'} options.mode - Merge chats and templates into the current ones, or replace them all
+   * @param {{chats: boolean, settings: boolean, templates: boolean, userId: boolean}} options.include - Parts to restore
+   * @returns {Promise<{urlsToConfirm: Array}>} Backend URLs from the backup that still need
+   *   the user's go-ahead (see settingsService.replaceSettings)
+   */
+  restoreBackup: async (archive, { mode = 'merge', include = { chats: true, settings: true, templates: true, userId: true } } = {}) => {
+    const { chats, activeChatId, settings, userIds, promptTemplates } = archive.data;
+    let urlsToConfirm = [];
+
+    if (include.settings && settings) {
+      urlsToConfirm = await settingsService.replaceSettings(settings);
+    }
+    if (include.templates && promptTemplates) {
+      await promptTemplateService.importTemplates(promptTemplates, { replace: mode === 'replace' });
+    }
+    if (include.userId && userIds) {
+      await writeUserIds(userIds);
+    }
+    if (include.chats) {
+      const replace = mode === 'replace';
+      await chatRepository.importChats(chats, { replace });
+      // Replacing brings back the chat that was open; merging keeps the current one
+      if (activeChatId && (replace || !utils.getActiveChatId())) {
+        utils.setActiveChatId(activeChatId);
+      }
+    }
+    return { urlsToConfirm };
+  },
+};
+
+export default backupService;
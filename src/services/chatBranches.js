@@ -0,0 +1,84 @@
+// Response branches: regenerating a reply or editing a prompt adds a sibling
+// message instead of replacing the old one. Each message points at the one it
+// follows (`parentId`, null for the first), and the chat remembers which sibling
+// is selected at each fork (`branchSelections`: parent key -> message ID).
+// Messages saved before branches existed have no parentId and follow the
+// message stored before them.
+
+export const ROOT_BRANCH_KEY = 'root'; // Parent key of a chat's first messages
+
+const toBranchKey = (parentId) => (parentId === null || parentId === undefined ? ROOT_BRANCH_KEY : String(parentId));
+
+// Parent key of every message, resolving legacy messages to the one stored before them
+const getParentKeys = (messages) => {
+  const parentKeys = new Map(); // message ID -> parent key
+  let previous = null;
+  messages.forEach(message => {
+    const parentId = message.parentId !== undefined ? message.parentId : (previous?.id ?? null);
+    parentKeys.set(String(message.id), toBranchKey(parentId));
+    previous = message;
+  });
+  return parentKeys;
+};
+
+export const chatBranchService = {
+  /**
+   * The messages on the selected path through a chat, oldest first. Each one gets
+   * `branch: { key, index, count, siblingIds }` describing its fork; a fork with no
+   * selection shows its newest sibling.
+   * @param {Array} messages - All messages of the chat, in stored order
+   * @param {Object} [selections] - The chat's `branchSelections`
+   */
+  getActiveThread: (messages, selections = {}) => {
+    const children = new Map(); // parent key -> messages, in stored order
+    const parentKeys = getParentKeys(messages);
+    messages.forEach(message => {
+      const key = parentKeys.get(String(message.id));
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(message);
+    });
+
+    const thread = [];
+    const visited = new Set(); // Guards against a damaged record pointing back up the path
+    let key = ROOT_BRANCH_KEY;
+    while (children.has(key) && !visited.has(key)) {
+      visited.add(key);
+      const siblings = children.get(key);
+      const selected = siblings.findIndex(message => String(message.id) === String(selections?.[key]));
+      const index = selected >= 0 ? selected : siblings.length - 1;
+      const message = siblings[index];
+      thread.push({
+        ...message,
+        branch: { key, index, count: siblings.length, siblingIds: siblings.map(sibling => sibling.id) },
+      });
+      key = String(message.id);
+    }
+    return thread;
+  },
+
+  /**
+   * The selections that put a message on the selected path (e.g. a search hit on
+   * a branch that isn't shown): at each fork above it, the sibling leading to it
+   * @returns {Object|null} Parent key -> message ID, or null if the message isn't in `messages`
+   */
+  getSelectionsFor: (messages, messageId) => {
+    const parentKeys = getParentKeys(messages);
+    if (!parentKeys.has(String(messageId))) return null;
+
+    const selections = {};
+    let id = String(messageId);
+    while (parentKeys.has(id)) {
+      const key = parentKeys.get(id);
+      if (key in selections) break; // Damaged record pointing back down the path
+      selections[key] = messages.find(message => String(message.id) === id).id;
+      if (key === ROOT_BRANCH_KEY) break;
+      id = key;
+    }
+    return selections;
+  },
+
+  // Key of the fork a new message following `parentId` joins
+  getBranchKey: (parentId) => toBranchKey(parentId),
+};
+
+export default chatBranchService;
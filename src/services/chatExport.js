@@ -0,0 +1,228 @@
+import { createElement } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { chatRepository } from './chatRepository';
+import { chatBranchService } from './chatBranches';
+import { downloadFile } from './downloads';
+
+// Export a conversation as a file: Markdown, standalone HTML, plain text,
+// or an .eml email draft made from the latest email-style assistant reply
+
+const ASSISTANT_NAME = 'SalesHub AI';
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown (.md)', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML page (.html)', extension: 'html', mimeType: 'text/html' },
+  text: { label: 'Plain text (.txt)', extension: 'txt', mimeType: 'text/plain' },
+  eml: { label: 'Email draft (.eml)', extension: 'eml', mimeType: 'message/rfc822' },
+};
+
+// ========== Helpers ==========
+
+const formatTimestamp = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+const authorName = (message) => (message.type === 'user' ? 'You' : ASSISTANT_NAME);
+
+const escapeHtml = (text) => {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Readable text from an assistant reply's Markdown, keeping its line structure
+const markdownToText = (markdown) => {
+  return (markdown || '')
+    .replace(/^```[^\n]*$/gm, '')
+    .replace(/!?\[([^\]]*)\]\(([^)]*)\)/g, '$1 ($2)')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^(\s*)[*+]\s+/gm, '$1- ')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// File name from the chat title, e.g. saleshub-acme-renewal-2026-10-18.md
+const buildFileName = (chat, extension) => {
+  const slug = (chat.title || 'chat')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 40) || 'chat';
+  const date = new Date().toISOString().slice(0, 10);
+  return `saleshub-${slug}-${date}.${extension}`;
+};
+
+// Title, dates and deal shared by every format, as label/value pairs
+const getDetails = (chat, messages) => {
+  const details = [];
+  if (chat.dealName) details.push(['HubSpot deal', chat.dealName]);
+  details.push(['Started', formatTimestamp(chat.createdAt || messages[0]?.timestamp)]);
+  details.push(['Exported', formatTimestamp(new Date().toISOString())]);
+  return details;
+};
+
+// ========== Formats ==========
+
+const toMarkdown = (chat, messages) => {
+  const lines = [`# ${chat.title}`, ''];
+  getDetails(chat, messages).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push('', '---', '');
+  messages.forEach(message => {
+    lines.push(`### ${authorName(message)} · ${formatTimestamp(message.timestamp)}`, '', message.message, '');
+  });
+  return lines.join('\n');
+};
+
+const toText = (chat, messages) => {
+  const lines = [chat.title];
+  getDetails(chat, messages).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+  lines.push('='.repeat(40), '');
+  messages.forEach(message => {
+    const body = message.type === 'user' ? message.message : markdownToText(message.message);
+    lines.push(`${authorName(message)} - ${formatTimestamp(message.timestamp)}`, body, '');
+  });
+  return lines.join('\n');
+};
+
+const toHtml = async (chat, messages) => {
+  // Loaded on demand: only HTML exports need server rendering
+  const { renderToStaticMarkup } = await import('react-dom/server');
+  const renderMarkdown = (markdown) =>
+    renderToStaticMarkup(createElement(ReactMarkdown, { remarkPlugins: [remarkGfm] }, markdown || ''));
+
+  const details = getDetails(chat, messages)
+    .map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`)
+    .join('\n');
+  const body = messages.map(message => `
+<section class="message ${message.type === 'user' ? 'user' : 'assistant'}">
+  <p class="meta">${escapeHtml(authorName(message))} · ${escapeHtml(formatTimestamp(message.timestamp))}</p>
+  <div class="body">${message.type === 'user'
+    ? `<p>${escapeHtml(message.message).replace(/\n/g, '<br>')}</p>`
+    : renderMarkdown(message.message)}</div>
+</section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(chat.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1e293b; line-height: 1.55; }
+  h1 { font-size: 1.4rem; margin-bottom: 0.5rem; }
+  ul.details { list-style: none; padding: 0; color: #64748b; font-size: 0.85rem; }
+  .message { border: 1px solid #e2e8f0; border-radius: 12px; padding: 0.75rem 1rem; margin: 1rem 0; }
+  .message.user { background: #eef2ff; border-color: #c7d2fe; }
+  .meta { margin: 0 0 0.5rem; font-size: 0.75rem; color: #64748b; }
+  .body > :first-child { margin-top: 0; }
+  .body > :last-child { margin-bottom: 0; }
+  pre { background: #0f172a; color: #f1f5f9; padding: 0.75rem; border-radius: 8px; overflow-x: auto; }
+  code { font-size: 0.85em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #e2e8f0; padding: 0.25rem 0.5rem; text-align: left; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(chat.title)}</h1>
+<ul class="details">
+${details}
+</ul>
+${body}
+</body>
+</html>
+`;
+};
+
+// ---------- .eml draft ----------
+
+const SUBJECT_LINE = /^\s*(?:\*\*|__)?subject(?:\*\*|__)?\s*:\s*(?:\*\*|__)?\s*(.+?)\s*(?:\*\*|__)?\s*$/im;
+const GREETING_LINE = /^\s*(hi|hello|hey|dear|good (morning|afternoon|evening))\b/im;
+const SIGN_OFF_LINE = /^\s*(best|regards|kind regards|best regards|warm regards|thanks|thank you|cheers|sincerely|talk soon)\b[^\n]{0,20}$/im;
+
+// An email-style reply has a subject line, or both a greeting and a sign-off
+const isEmailStyle = (text) => {
+  return SUBJECT_LINE.test(text) || (GREETING_LINE.test(text) && SIGN_OFF_LINE.test(text));
+};
+
+// UTF-8 bytes as base64, in chunks so long texts don't overflow the call stack
+const toBase64 = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+// RFC 2047 encoded-word for header values that aren't plain ASCII
+const encodeHeader = (value) => {
+  const clean = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${toBase64(clean)}?=`;
+};
+
+const toEml = (chat, messages) => {
+  const reply = [...messages].reverse().find(message => message.type === 'assistant' && isEmailStyle(message.message || ''));
+  if (!reply) {
+    throw new Error('No email-style reply in this chat to turn into a draft');
+  }
+
+  const text = markdownToText(reply.message);
+  const subjectMatch = text.match(SUBJECT_LINE);
+  const subject = subjectMatch ? subjectMatch[1] : chat.title;
+  // The body starts after the subject line, if the reply had one
+  const body = (subjectMatch ? text.slice(subjectMatch.index + subjectMatch[0].length) : text).trim();
+
+  const headers = [
+    'X-Unsent: 1', // Opens as an editable draft in Outlook
+    'To: ',
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date(reply.timestamp || Date.now()).toUTCString()}`,
+    `X-SalesHub-Chat: ${encodeHeader(chat.title)}`,
+    ...(chat.dealName ? [`X-SalesHub-Deal: ${encodeHeader(chat.dealName)}`] : []),
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+  ];
+  const encodedBody = toBase64(body.replace(/\r?\n/g, '\r\n')).match(/.{1,76}/g) || [];
+  return [...headers, '', ...encodedBody, ''].join('\r\n');
+};
+
+const BUILDERS = {
+  markdown: toMarkdown,
+  html: toHtml,
+  text: toText,
+  eml: toEml,
+};
+
+export const chatExportService = {
+  /**
+   * Export a chat and download it
+   * @param {'markdown'|'html'|'text'|'eml'} format
+   * @returns {Promise<string>} The downloaded file name
+   * @throws If the chat is empty, or has no email-style reply for an .eml draft
+   */
+  exportChat: async (chatId, format) => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const [chat, allMessages] = await Promise.all([
+      chatRepository.getChat(chatId),
+      chatRepository.getMessages(chatId),
+    ]);
+    // Only the selected branch, as it reads in the chat
+    const messages = chatBranchService.getActiveThread(allMessages, chat?.branchSelections);
+    if (!chat || messages.length === 0) {
+      throw new Error('This chat has no messages to export');
+    }
+
+    const content = await BUILDERS[format](chat, messages);
+    const fileName = buildFileName(chat, extension);
+    await downloadFile(content, fileName, mimeType);
+    return fileName;
+  },
+};
+
+export default chatExportService;
@@ -0,0 +1,429 @@
+// Chat persistence in IndexedDB: one record per chat, one per message,
+// so saving a message no longer rewrites every conversation.
+
+import { getSearchTerms } from '../../public/shared/searchTerms.js';
+
+const DB_NAME = 'saleshub';
+const DB_VERSION = 2;
+const CHATS_STORE = 'chats';
+const MESSAGES_STORE = 'messages';
+const LEGACY_CHATS_KEY = 'saleshub_chats'; // Pre-IndexedDB localStorage blob
+const NEAR_QUOTA_RATIO = 0.8; // Warn once usage passes 80% of the origin quota
+const DEFAULT_SEARCH_LIMIT = 50;
+
+/**
+ * Schema migrations, indexed by the version they upgrade from (0 = new database).
+ * Append new steps and bump DB_VERSION; never edit a shipped step.
+ * Each step gets the upgrade transaction and can queue work to run once it commits.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: chat and message stores, import of the localStorage blob
+  (db, transaction, afterCommit) => {
+    const chats = db.createObjectStore(CHATS_STORE, { keyPath: 'id' });
+    chats.createIndex('updatedAt', 'updatedAt');
+    chats.createIndex('createdAt', 'createdAt');
+    chats.createIndex('dealId', 'dealId');
+
+    // seq keeps insertion order, which index reads preserve within a chat
+    const messages = db.createObjectStore(MESSAGES_STORE, { keyPath: 'seq', autoIncrement: true });
+    messages.createIndex('chatId', 'chatId');
+    messages.createIndex('chatId_id', ['chatId', 'id']);
+    messages.createIndex('dealId', 'dealId');
+    messages.createIndex('timestamp', 'timestamp');
+
+    if (importLegacyChats(transaction)) {
+      afterCommit.push(() => localStorage.removeItem(LEGACY_CHATS_KEY));
+    }
+  },
+
+  // 1 -> 2: full-text search index (the words of each message), backfilled for stored messages
+  (db, transaction) => {
+    const messages = transaction.objectStore(MESSAGES_STORE);
+    messages.createIndex('terms', 'terms', { multiEntry: true });
+    messages.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, terms: getSearchTerms(cursor.value.message) });
+      cursor.continue();
+    };
+  },
+];
+
+// Copy the saleshub_chats blob into the new stores; returns true if anything was imported
+const importLegacyChats = (transaction) => {
+  let legacyChats;
+  try {
+    legacyChats = JSON.parse(localStorage.getItem(LEGACY_CHATS_KEY) || '[]');
+  } catch (error) {
+    console.error('Could not read legacy chats, skipping import:', error);
+    return false;
+  }
+  if (!Array.isArray(legacyChats) || legacyChats.length === 0) return false;
+
+  const chatsStore = transaction.objectStore(CHATS_STORE);
+  const messagesStore = transaction.objectStore(MESSAGES_STORE);
+  legacyChats.forEach(({ messages = [], ...chat }) => {
+    if (!chat.id) return;
+    chatsStore.put(chat);
+    messages.forEach(message => messagesStore.add({ ...message, chatId: chat.id }));
+  });
+
+  console.log(`Imported ${legacyChats.length} chats from localStorage`);
+  return true;
+};
+
+// ========== IndexedDB plumbing ==========
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    const afterCommit = [];
+
+    request.onupgradeneeded = (event) => {
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](request.result, request.transaction, afterCommit);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another context is upgrading the schema: let it, and reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      afterCommit.forEach(task => task());
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+
+    request.onblocked = () => {
+      console.warn('Chat database upgrade is waiting for other SalesHub windows to close');
+    };
+  });
+
+  return dbPromise;
+};
+
+// ========== Change & storage notifications ==========
+
+const listeners = new Set();
+
+const notify = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Chat repository listener error:', error);
+    }
+  });
+};
+
+const isQuotaError = (error) => error?.name === 'QuotaExceededError';
+
+/**
+ * Run a read/write against the given stores in one transaction.
+ * `work` may await requests on its stores but nothing else, or the transaction
+ * auto-commits under it; its return value resolves once the transaction commits.
+ */
+const withStores = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeNames, mode);
+  const stores = storeNames.map(name => transaction.objectStore(name));
+  const done = transactionDone(transaction);
+  done.catch(() => {}); // Surfaced below; avoids an unhandled rejection if `work` throws first
+
+  try {
+    const result = await work(...stores);
+    await done;
+    if (mode === 'readwrite') {
+      notify({ type: 'chats_changed' });
+    }
+    return result;
+  } catch (error) {
+    if (isQuotaError(error)) {
+      // Report instead of silently dropping the write
+      notify({ type: 'storage_status', status: { ...(await chatRepository.getStorageStatus()), exceeded: true } });
+    }
+    throw error;
+  }
+};
+
+const getDealId = (hubspotRecord) => {
+  return hubspotRecord?.objectType === 'deal' ? hubspotRecord.recordId : undefined;
+};
+
+// Messages are returned without their storage bookkeeping fields
+const toMessage = (record) => {
+  const message = { ...record };
+  delete message.seq;
+  delete message.chatId;
+  delete message.terms;
+  return message;
+};
+
+// ========== Repository ==========
+
+export const chatRepository = {
+  // All chats (metadata only), most recently updated first
+  getAllChats: async () => {
+    const chats = await withStores([CHATS_STORE], 'readonly', store => promisifyRequest(store.getAll()));
+    return chats.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  },
+
+  getChat: async (chatId) => {
+    const chat = await withStores([CHATS_STORE], 'readonly', store => promisifyRequest(store.get(chatId)));
+    return chat || null;
+  },
+
+  // Chats that discussed a given HubSpot deal
+  getChatsByDeal: async (dealId) => {
+    return withStores([CHATS_STORE], 'readonly', store =>
+      promisifyRequest(store.index('dealId').getAll(String(dealId)))
+    );
+  },
+
+  saveChat: async (chat) => {
+    await withStores([CHATS_STORE], 'readwrite', store => promisifyRequest(store.put(chat)));
+    return chat;
+  },
+
+  /**
+   * Apply `changes` (an object, or a function of the stored chat) to a chat
+   * @returns {Promise<Object|null>} Updated chat, or null if it doesn't exist
+   */
+  updateChat: async (chatId, changes) => {
+    return withStores([CHATS_STORE], 'readwrite', async (store) => {
+      const chat = await promisifyRequest(store.get(chatId));
+      if (!chat) return null;
+
+      const updated = { ...chat, ...(typeof changes === 'function' ? changes(chat) : changes) };
+      store.put(updated);
+      return updated;
+    });
+  },
+
+  // Delete chats and all of their messages
+  deleteChats: async (chatIds) => {
+    if (chatIds.length === 0) return;
+    await withStores([CHATS_STORE, MESSAGES_STORE], 'readwrite', async (chats, messages) => {
+      for (const chatId of chatIds) {
+        chats.delete(chatId);
+        const keys = await promisifyRequest(messages.index('chatId').getAllKeys(chatId));
+        keys.forEach(key => messages.delete(key));
+      }
+    });
+  },
+
+  getMessages: async (chatId) => {
+    const messages = await withStores([MESSAGES_STORE], 'readonly', store =>
+      promisifyRequest(store.index('chatId').getAll(chatId))
+    );
+    return messages.map(toMessage);
+  },
+
+  /**
+   * Append a message and update its chat in one transaction
+   * @param {Function} [applyToChat] - Returns extra chat changes (e.g. a title) given the stored chat
+   * @param {Object} [hubspotRecord] - Open record when the message was sent; indexes deal chats
+   *   (a deal's `name`, if given, is kept on the chat as `dealName` for exports)
+   */
+  addMessage: async (chatId, message, { applyToChat, hubspotRecord } = {}) => {
+    const dealId = getDealId(hubspotRecord);
+
+    return withStores([CHATS_STORE, MESSAGES_STORE], 'readwrite', async (chats, messages) => {
+      const chat = await promisifyRequest(chats.get(chatId));
+      if (!chat) return null;
+
+      messages.add({ ...message, chatId, terms: getSearchTerms(message.message), ...(dealId && { dealId }) });
+      const updated = {
+        ...chat,
+        ...(dealId && { dealId }),
+        ...(dealId && hubspotRecord.name && { dealName: hubspotRecord.name }),
+        ...(applyToChat ? applyToChat(chat) : {}),
+        updatedAt: new Date().toISOString(),
+      };
+      chats.put(updated);
+      return updated;
+    });
+  },
+
+  /**
+   * Apply `changes` to one stored message, found by its chat and message ID
+   * @returns {Promise<Object|null>} Updated message, or null if it isn't stored
+   */
+  updateMessage: async (chatId, messageId, changes) => {
+    return withStores([MESSAGES_STORE], 'readwrite', async (store) => {
+      const record = await promisifyRequest(store.index('chatId_id').get([chatId, messageId]));
+      if (!record) return null;
+
+      const updated = { ...record, ...changes };
+      store.put(updated);
+      return toMessage(updated);
+    });
+  },
+
+  // Remove every message of a chat, applying `changes` to the chat itself
+  clearMessages: async (chatId, changes = {}) => {
+    return withStores([CHATS_STORE, MESSAGES_STORE], 'readwrite', async (chats, messages) => {
+      const chat = await promisifyRequest(chats.get(chatId));
+      if (!chat) return null;
+
+      const keys = await promisifyRequest(messages.index('chatId').getAllKeys(chatId));
+      keys.forEach(key => messages.delete(key));
+      const updated = { ...chat, ...changes, updatedAt: new Date().toISOString() };
+      chats.put(updated);
+      return updated;
+    });
+  },
+
+  /**
+   * Full-text search over every stored message. Each query word matches the start
+   * of a word in the message ("pric" finds "pricing"); all of them must match.
+   * @returns {Promise<Array<{chatId, chatTitle, message}>>} Matches, newest first
+   */
+  searchMessages: async (query, { limit = DEFAULT_SEARCH_LIMIT } = {}) => {
+    const queryTerms = getSearchTerms(query);
+    if (queryTerms.length === 0) return [];
+
+    // Look up the longest (usually rarest) word in the index, then check the rest
+    const [lookupTerm] = [...queryTerms].sort((a, b) => b.length - a.length);
+    const { records, chats } = await withStores([CHATS_STORE, MESSAGES_STORE], 'readonly', async (chatsStore, messages) => ({
+      records: await promisifyRequest(messages.index('terms').getAll(IDBKeyRange.bound(lookupTerm, lookupTerm + '\uffff'))),
+      chats: await promisifyRequest(chatsStore.getAll()),
+    }));
+
+    // Chats in the trash aren't searched
+    const titles = new Map(chats.filter(chat => !chat.deletedAt).map(chat => [chat.id, chat.title]));
+    const seen = new Set(); // A message is listed once per indexed word that matched the prefix
+    const matches = records.filter(record => {
+      if (seen.has(record.seq) || !titles.has(record.chatId)) return false;
+      seen.add(record.seq);
+      return queryTerms.every(term => (record.terms || []).some(word => word.startsWith(term)));
+    });
+
+    return matches
+      .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+      .slice(0, limit)
+      .map(record => ({ chatId: record.chatId, chatTitle: titles.get(record.chatId), message: toMessage(record) }));
+  },
+
+  // Every chat with its messages, for backups
+  exportChats: async () => {
+    const { chats, messages } = await withStores([CHATS_STORE, MESSAGES_STORE], 'readonly', async (chatsStore, messagesStore) => ({
+      chats: await promisifyRequest(chatsStore.getAll()),
+      messages: await promisifyRequest(messagesStore.getAll()),
+    }));
+
+    const messagesByChat = new Map(chats.map(chat => [chat.id, []]));
+    messages.forEach(record => messagesByChat.get(record.chatId)?.push(toMessage(record)));
+    return chats.map(chat => ({ ...chat, messages: messagesByChat.get(chat.id) }));
+  },
+
+  /**
+   * Import chats shaped like exportChats() output, in one transaction.
+   * `replace` drops every current chat first; otherwise a chat that already exists
+   * keeps its own details and gains the messages it was missing, in timestamp order.
+   */
+  importChats: async (chats, { replace = false } = {}) => {
+    await withStores([CHATS_STORE, MESSAGES_STORE], 'readwrite', async (chatsStore, messagesStore) => {
+      if (replace) {
+        chatsStore.clear();
+        messagesStore.clear();
+      }
+
+      for (const { messages = [], ...chat } of chats) {
+        const existing = replace ? null : await promisifyRequest(chatsStore.get(chat.id));
+        let chatMessages = messages;
+
+        if (existing) {
+          const index = messagesStore.index('chatId');
+          const current = (await promisifyRequest(index.getAll(chat.id))).map(toMessage);
+          const currentIds = new Set(current.map(message => message.id));
+          const missing = messages.filter(message => !currentIds.has(message.id));
+          if (missing.length === 0) continue;
+
+          // Re-add the whole chat so the seq order follows the timestamps
+          const keys = await promisifyRequest(index.getAllKeys(chat.id));
+          keys.forEach(key => messagesStore.delete(key));
+          chatMessages = [...current, ...missing].sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        }
+
+        chatsStore.put(existing
+          ? { ...existing, updatedAt: [existing.updatedAt, chat.updatedAt].filter(Boolean).sort().pop() }
+          : chat);
+        chatMessages.forEach(message => {
+          messagesStore.add({ ...message, chatId: chat.id, terms: getSearchTerms(message.message) });
+        });
+      }
+    });
+  },
+
+  // Cleanup: move chats not updated in the last `days` days to the trash, leaving
+  // pinned ones alone; returns how many were moved
+  trashChatsOlderThan: async (days) => {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const deletedAt = new Date().toISOString();
+    return withStores([CHATS_STORE], 'readwrite', async (store) => {
+      const staleChats = (await promisifyRequest(store.index('updatedAt').getAll(IDBKeyRange.upperBound(cutoff, true))))
+        .filter(chat => !chat.deletedAt && !chat.pinned);
+      staleChats.forEach(chat => store.put({ ...chat, deletedAt }));
+      return staleChats.length;
+    });
+  },
+
+  deleteAllChats: async () => {
+    await withStores([CHATS_STORE, MESSAGES_STORE], 'readwrite', (chats, messages) => {
+      chats.clear();
+      messages.clear();
+    });
+  },
+
+  /**
+   * Storage usage for the extension's origin
+   * @returns {Promise<{usage: number, quota: number, ratio: number, nearQuota: boolean}|null>} null if unsupported
+   */
+  getStorageStatus: async () => {
+    if (!navigator.storage?.estimate) return null;
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      const ratio = quota > 0 ? usage / quota : 0;
+      return { usage, quota, ratio, nearQuota: ratio >= NEAR_QUOTA_RATIO };
+    } catch (error) {
+      console.error('Storage estimate failed:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Subscribe to repository events:
+   * `{ type: 'chats_changed' }` after any write,
+   * `{ type: 'storage_status', status }` when a write hits the quota
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default chatRepository;
@@ -0,0 +1,82 @@
+import { chatRepository } from './chatRepository';
+import { getSearchTerms } from '../../public/shared/searchTerms.js';
+
+// Search across every chat's messages, with highlighted snippets for the sidebar
+
+const SNIPPET_LEADING_CHARS = 40;
+const SNIPPET_LENGTH = 140;
+
+// Markdown syntax shown in a snippet would just be noise
+const toPlainText = (markdown) => {
+  return (markdown || '')
+    .replace(/```[^\n]*\n?/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(?:#+|>|[-+*](?=\s))/gm, '')
+    .replace(/[*_`~]+/g, '')
+    .replace(/\|/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query words at the start of a word, as the index matches them
+const buildMatcher = (queryTerms) => {
+  const alternatives = queryTerms.map(escapeRegExp).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})`, 'giu');
+};
+
+/**
+ * Cut the part of a message around its first match and mark every match in it
+ * @returns {Array<{text: string, match: boolean}>} Snippet segments, in order
+ */
+const getSnippet = (text, query) => {
+  const queryTerms = getSearchTerms(query);
+  const plain = toPlainText(text);
+  if (queryTerms.length === 0) return [{ text: plain.slice(0, SNIPPET_LENGTH), match: false }];
+
+  const matcher = buildMatcher(queryTerms);
+  const firstMatch = plain.search(matcher);
+  let start = Math.max(0, firstMatch - SNIPPET_LEADING_CHARS);
+  let end = Math.min(plain.length, start + SNIPPET_LENGTH);
+  // Don't start or end mid-word
+  if (start > 0) {
+    const space = plain.indexOf(' ', start);
+    if (space !== -1 && space < (firstMatch === -1 ? end : firstMatch)) start = space + 1;
+  }
+  if (end < plain.length) {
+    const space = plain.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+  const excerpt = (start > 0 ? '…' : '') + plain.slice(start, end) + (end < plain.length ? '…' : '');
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const match of excerpt.matchAll(matcher)) {
+    if (match.index > lastIndex) segments.push({ text: excerpt.slice(lastIndex, match.index), match: false });
+    segments.push({ text: match[0], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < excerpt.length) segments.push({ text: excerpt.slice(lastIndex), match: false });
+  return segments;
+};
+
+export const chatSearchService = {
+  /**
+   * Search all conversations
+   * @returns {Promise<Array<{chatId, chatTitle, message, snippet}>>} Newest first; [] on failure
+   */
+  search: async (query, options) => {
+    try {
+      const results = await chatRepository.searchMessages(query, options);
+      return results.map(result => ({ ...result, snippet: getSnippet(result.message.message, query) }));
+    } catch (error) {
+      console.error('Chat search failed:', error);
+      return [];
+    }
+  },
+
+  getSnippet,
+};
+
+export default chatSearchService;
@@ -0,0 +1,170 @@
+import { chatService, utils } from "./api";
+
+// Chat turns: one user message awaiting its reply. In the extension the background
+// service worker runs them (public/background.js) so a reply still lands in the chat
+// if the popup closes; outside it they run in the page with the same events.
+
+const CHAT_TURNS_PORT = "chat-turns";
+const RECONNECT_DELAY_MS = 1000;
+
+const hasBackground = () =>
+  typeof chrome !== "undefined" && !!chrome.runtime && !!chrome.runtime.id;
+
+const listeners = new Set();
+const localControllers = new Map(); // turnId -> AbortController (in-page fallback only)
+let port = null;
+let reconnectTimer = null;
+
+const emit = (turn) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(turn);
+    } catch (error) {
+      console.error("Chat turn listener error:", error);
+    }
+  });
+};
+
+// Same message record the background saves for a finished turn
+const toAssistantMessage = (result, userMessageId) => ({
+  id: result.message_id || crypto.randomUUID(),
+  type: "assistant",
+  message: result.response,
+  timestamp: result.timestamp || new Date().toISOString(),
+  parentId: userMessageId,
+  ...(result.incomplete && { incomplete: true }),
+  ...(result.aborted && { interrupted: true, replyTo: userMessageId }),
+});
+
+const connectPort = () => {
+  if (port || listeners.size === 0) return;
+
+  port = chrome.runtime.connect({ name: CHAT_TURNS_PORT });
+  port.onMessage.addListener((message) => {
+    if (message.type === "CHAT_TURNS") {
+      message.turns.forEach(emit);
+    } else if (message.type === "CHAT_TURN_UPDATE") {
+      emit(message.turn);
+    }
+  });
+  // The service worker was stopped or restarted - reconnect while anyone listens
+  port.onDisconnect.addListener(() => {
+    port = null;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connectPort, RECONNECT_DELAY_MS);
+  });
+};
+
+const disconnectPort = () => {
+  clearTimeout(reconnectTimer);
+  if (port) {
+    port.disconnect();
+    port = null;
+  }
+};
+
+// In-page fallback with the same turn updates the background sends (the reply arrives
+// whole: streaming only runs in the background worker)
+const runLocalTurn = async ({ turnId, chatId, userMessageId, message, hubspotRecord, conversation, metadata }) => {
+  const controller = new AbortController();
+  localControllers.set(turnId, controller);
+  let turn = { turnId, chatId, userMessageId, status: "pending", text: "" };
+  const update = (changes) => {
+    turn = { ...turn, ...changes, updatedAt: Date.now() };
+    emit(turn);
+  };
+  update({});
+
+  try {
+    const result = await chatService.sendMessage(message, hubspotRecord, { signal: controller.signal, conversation, metadata });
+
+    const assistantMessage = toAssistantMessage(result, userMessageId);
+    let persisted = false;
+    try {
+      await utils.saveMessageToChat(chatId, assistantMessage, hubspotRecord);
+      persisted = true;
+    } catch (error) {
+      console.error("Failed to save reply:", error);
+    }
+    update({ status: "done", text: result.response, message: assistantMessage, persisted, rateLimit: result.rate_limit });
+  } catch (error) {
+    console.error("Chat error:", error);
+    update({ status: "error", error: "Sorry, I encountered an error. Please try again." });
+  } finally {
+    localControllers.delete(turnId);
+  }
+};
+
+export const chatTurnService = {
+  /**
+   * Start a turn. Progress arrives through subscribe():
+   * `pending` -> `streaming` (with `text` so far) -> `done` (with the saved `message`) or `error`.
+   * Pass a `turnId` from createTurnId() to be able to stop the turn before this resolves.
+   * @returns {Promise<string>} The turn ID
+   */
+  send: async ({ turnId = chatTurnService.createTurnId(), chatId, userMessageId, message, hubspotRecord = null, conversation = null, metadata = null, stream = true }) => {
+    if (!hasBackground()) {
+      runLocalTurn({ turnId, chatId, userMessageId, message, hubspotRecord, conversation, metadata });
+      return turnId;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: "CHAT_SEND",
+      turn: {
+        turnId,
+        chatId,
+        userMessageId,
+        payload: chatService.buildPayload(message, hubspotRecord, conversation, metadata),
+        stream,
+        dealId: hubspotRecord?.objectType === "deal" ? hubspotRecord.recordId : undefined,
+        dealName: hubspotRecord?.objectType === "deal" ? hubspotRecord.name : undefined,
+      },
+    });
+    if (!response?.accepted) {
+      throw new Error("Background service worker did not accept the message");
+    }
+    return turnId;
+  },
+
+  createTurnId: () => "turn_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9),
+
+  // Stop an in-flight turn; it finishes as `done` with an interrupted reply
+  stop: (turnId) => {
+    if (localControllers.has(turnId)) {
+      localControllers.get(turnId).abort();
+    } else if (hasBackground()) {
+      chrome.runtime.sendMessage({ type: "CHAT_STOP", turnId }).catch(() => {});
+    }
+  },
+
+  // Tell the background a finished turn has been shown (and saved, if it couldn't)
+  acknowledge: (turnId) => {
+    if (hasBackground()) {
+      chrome.runtime.sendMessage({ type: "CHAT_TURN_ACK", turnId }).catch(() => {});
+    }
+  },
+
+  /**
+   * Receive every turn update; on subscribe the background replays in-flight
+   * and unsaved turns so a reopened popup can show them
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    if (hasBackground()) {
+      if (port) {
+        // Already connected for another listener: reconnect so this one gets the replay
+        disconnectPort();
+      }
+      connectPort();
+    }
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        disconnectPort();
+      }
+    };
+  },
+};
+
+export default chatTurnService;
@@ -0,0 +1,52 @@
+// Clipboard helpers for copying chat content as plain or rich text
+
+// Attributes that only make sense inside the extension UI
+const STRIPPED_ATTRIBUTES = ['class', 'style', 'data-copy-ignore'];
+
+// Clone rendered message markup without UI-only elements (copy buttons) and styling hooks
+const toPortableHtml = (element) => {
+  const clone = element.cloneNode(true);
+  clone.querySelectorAll('[data-copy-ignore]').forEach(node => node.remove());
+  clone.querySelectorAll('*').forEach(node => {
+    STRIPPED_ATTRIBUTES.forEach(attr => node.removeAttribute(attr));
+  });
+  return clone.innerHTML;
+};
+
+// innerText keeps line breaks between blocks (copy buttons are icon-only, so add no text)
+const toPlainText = (element) => {
+  return (element.isConnected ? element.innerText : element.textContent).trim();
+};
+
+export const clipboardService = {
+  copyText: async (text) => {
+    await navigator.clipboard.writeText(text);
+  },
+
+  /**
+   * Copy a rendered element as rich text (text/html) with a plain-text alternative,
+   * so it pastes formatted into Gmail/HubSpot and readable into plain editors
+   */
+  copyElementAsRichText: async (element) => {
+    const html = toPortableHtml(element);
+    const text = toPlainText(element);
+
+    if (typeof ClipboardItem === 'undefined') {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+
+    await navigator.clipboard.write([
+      new ClipboardItem({
+        'text/html': new Blob([html], { type: 'text/html' }),
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+      }),
+    ]);
+  },
+
+  copyElementAsPlainText: async (element) => {
+    await navigator.clipboard.writeText(toPlainText(element));
+  },
+};
+
+export default clipboardService;
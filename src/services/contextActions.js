@@ -0,0 +1,94 @@
+import { utils } from './api';
+
+// Actions from the context menu on selected text ("Reply to this with SalesHub", ...),
+// registered by public/background.js. The background stores the chosen action in
+// chrome.storage.session and opens the popup or side panel, which takes it from there
+// and sends it like a typed message: the intent's prompt, with the selection attached
+// as page context.
+
+export const PENDING_CHAT_ACTION_KEY = 'pendingChatAction';
+
+const ACTION_MAX_AGE_MS = 10 * 60000; // Forget actions the UI never opened for
+
+// Prompt and backend metadata per menu intent (same shape as slash command metadata)
+export const CONTEXT_ACTIONS = {
+  reply: {
+    text: 'Draft a reply to this.',
+    metadata: { intent: 'reply', tone: 'professional' },
+  },
+  objection: {
+    text: 'Help me handle this objection with a short, confident response and a question to move things forward.',
+    metadata: { intent: 'objection_handling', tone: 'empathetic' },
+  },
+  summarize: {
+    text: 'Summarize this in a few bullet points.',
+    metadata: { intent: 'summary', tone: 'concise' },
+  },
+  rewrite: {
+    text: 'Rewrite this more concisely, keeping its meaning and tone.',
+    metadata: { intent: 'rewrite', tone: 'concise' },
+  },
+};
+
+const hasSessionStorage = () =>
+  typeof chrome !== 'undefined' && !!chrome.storage && !!chrome.storage.session;
+
+let lastTakenId = null; // The mount check and the change listener can both see one action
+
+export const contextActionService = {
+  /**
+   * Remove and return the action waiting for the chat UI, if any
+   * @returns {Promise<{id, intent, selection, title, url, createdAt}|null>}
+   */
+  takePendingAction: async () => {
+    if (!hasSessionStorage()) return null;
+    const result = await chrome.storage.session.get([PENDING_CHAT_ACTION_KEY]);
+    const action = result[PENDING_CHAT_ACTION_KEY];
+    if (!action || action.id === lastTakenId) return null;
+
+    lastTakenId = action.id;
+    await chrome.storage.session.remove(PENDING_CHAT_ACTION_KEY);
+    const tooOld = Date.now() - new Date(action.createdAt).getTime() > ACTION_MAX_AGE_MS;
+    return CONTEXT_ACTIONS[action.intent] && action.selection && !tooOld ? action : null;
+  },
+
+  /**
+   * Call `listener` when an action arrives while the UI is open
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    if (!hasSessionStorage() || !chrome.storage.onChanged) return () => {};
+    const handleChange = (changes, areaName) => {
+      if (areaName === 'session' && changes[PENDING_CHAT_ACTION_KEY]?.newValue) {
+        listener();
+      }
+    };
+    chrome.storage.onChanged.addListener(handleChange);
+    return () => chrome.storage.onChanged.removeListener(handleChange);
+  },
+
+  /**
+   * The chat an action goes to: the open chat earlier actions on the same page went to,
+   * otherwise a new one
+   */
+  getChatFor: async (action) => {
+    const chats = await utils.getAllChats();
+    const existing = chats.find(chat => chat.sourceUrl === action.url && !chat.archived);
+    return existing || utils.createChat({ sourceUrl: action.url });
+  },
+
+  // The user message to send: the intent's prompt, with the selection as page context
+  toMessage: (action) => ({
+    text: CONTEXT_ACTIONS[action.intent].text,
+    metadata: { ...CONTEXT_ACTIONS[action.intent].metadata, source: 'context_menu' },
+    pageContext: {
+      title: action.title || action.url,
+      url: action.url,
+      source: 'selection',
+      text: action.selection,
+      capturedAt: action.createdAt,
+    },
+  }),
+};
+
+export default contextActionService;
@@ -0,0 +1,27 @@
+// Save generated files (exports, backups) to the user's Downloads folder
+
+const DOWNLOAD_URL_LIFETIME_MS = 10000; // Time for the download to read the blob
+
+/**
+ * Download text content as a file: chrome.downloads in the extension,
+ * a temporary <a download> link elsewhere
+ */
+export const downloadFile = async (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  try {
+    if (typeof chrome !== 'undefined' && chrome.downloads?.download) {
+      await chrome.downloads.download({ url, filename: fileName, saveAs: false });
+    } else {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    }
+  } finally {
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+  }
+};
+
+export default downloadFile;
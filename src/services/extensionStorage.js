@@ -0,0 +1,45 @@
+// Shared access to chrome.storage.local for the services whose values every
+// extension context sees (settings, prompt templates, ...). Outside the extension,
+// e.g. under `vite dev`, values fall back to localStorage.
+
+export const hasChromeStorage = () =>
+  typeof chrome !== 'undefined' && !!chrome.storage && !!chrome.storage.local;
+
+// Stored value of `key`, or null (undefined in chrome.storage) when there is none
+export const readStoredValue = async (key) => {
+  if (hasChromeStorage()) {
+    const result = await chrome.storage.local.get([key]);
+    return result[key];
+  }
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Store `value` under `key`. chrome.storage.onChanged notifies the watchers
+ * (watchStoredValue) in every context; with localStorage only this page has
+ * them, so `onLocalWrite` is called instead
+ */
+export const writeStoredValue = async (key, value, onLocalWrite) => {
+  if (hasChromeStorage()) {
+    await chrome.storage.local.set({ [key]: value });
+    return;
+  }
+  localStorage.setItem(key, JSON.stringify(value));
+  if (onLocalWrite) onLocalWrite(value);
+};
+
+// Call `handler` with the new value whenever `key` changes in any extension context
+export const watchStoredValue = (key, handler) => {
+  if (!hasChromeStorage() || !chrome.storage.onChanged) return;
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[key]) {
+      handler(changes[key].newValue);
+    }
+  });
+};
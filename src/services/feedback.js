@@ -0,0 +1,50 @@
+import { chatService } from './api';
+import { chatRepository } from './chatRepository';
+
+// Thumbs up/down ratings on assistant replies. The rating is kept on the message
+// and reported to /chat/feedback; in the extension the background worker posts it
+// and queues it with the offline tracking calls until the backend is reachable.
+
+// Reasons offered after a thumbs-down (value sent to the backend -> label)
+export const FEEDBACK_REASONS = {
+  wrong_tone: 'Wrong tone',
+  hallucinated_deal_facts: 'Hallucinated deal facts',
+  inaccurate: 'Inaccurate',
+  too_long: 'Too long',
+  not_helpful: 'Not helpful',
+};
+
+const hasBackground = () =>
+  typeof chrome !== 'undefined' && !!chrome.runtime && !!chrome.runtime.id;
+
+export const feedbackService = {
+  /**
+   * Rate an assistant reply; rating it again replaces the earlier rating
+   * @param {{rating: 'up'|'down', reason?: string}} feedback - reason is a FEEDBACK_REASONS key
+   * @returns {Promise<Object>} The `feedback` stored on the message
+   */
+  rateMessage: async (chatId, messageId, { rating, reason = null }) => {
+    const feedback = { rating, reason, ratedAt: new Date().toISOString() };
+    const [message, chat] = await Promise.all([
+      chatRepository.updateMessage(chatId, messageId, { feedback }),
+      chatRepository.getChat(chatId),
+    ]);
+
+    const payload = {
+      message_id: messageId,
+      rating,
+      reason,
+      deal_id: message?.dealId || chat?.dealId || null,
+      conversation_id: chat?.conversationId || null,
+      timestamp: feedback.ratedAt,
+    };
+    if (hasBackground()) {
+      await chrome.runtime.sendMessage({ type: 'CHAT_FEEDBACK', feedback: payload });
+    } else {
+      await chatService.sendFeedback(payload);
+    }
+    return feedback;
+  },
+};
+
+export default feedbackService;
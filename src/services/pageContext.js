@@ -0,0 +1,49 @@
+// "Ask about this page": reads the active tab's title, URL and selection (or a cleaned
+// extract of its main content) through content-page-context.js, so it can be attached
+// to the next chat message. The attachment is stored on the user message as
+// `pageContext` and sent to the backend as a context block after the typed text.
+
+const hasTabs = () =>
+  typeof chrome !== 'undefined' && !!chrome.tabs && !!chrome.tabs.query;
+
+export const pageContextService = {
+  /**
+   * Context of the tab the popup or side panel was opened over
+   * @returns {Promise<{title: string, url: string, source: 'selection'|'page', text: string, capturedAt: string}>}
+   * @throws {Error} With a message for the user when the page can't be read
+   */
+  getActivePageContext: async () => {
+    if (!hasTabs()) {
+      throw new Error('Page context is only available in the extension');
+    }
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id || !/^https?:/.test(tab.url || '')) {
+      throw new Error("This page can't be read - open a website first");
+    }
+
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_CONTEXT' });
+    } catch (error) {
+      // No content script: the tab was opened before the extension was installed or reloaded
+      console.log('Could not reach page context script:', error.message);
+      throw new Error('Reload the page, then try again');
+    }
+    if (!response?.success) {
+      throw new Error(response?.error || "Couldn't read this page");
+    }
+    if (!response.context.text) {
+      throw new Error('No readable text on this page');
+    }
+    return { ...response.context, capturedAt: new Date().toISOString() };
+  },
+
+  // Message sent to the backend: the typed text followed by the attached page context
+  toPrompt: (text, pageContext) => {
+    if (!pageContext) return text;
+    const label = pageContext.source === 'selection' ? 'Selected text' : 'Page content';
+    return `${text}\n\n---\nContext from the page "${pageContext.title}" (${pageContext.url}):\n${label}:\n${pageContext.text}`;
+  },
+};
+
+export default pageContextService;
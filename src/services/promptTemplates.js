@@ -0,0 +1,162 @@
+/**
+ * The user's prompt template library, shown in the chat's quick-prompt grid.
+ * Stored in chrome.storage.local like the settings (localStorage outside the extension);
+ * the array order is the order the user arranged them in.
+ *
+ * Template text may hold placeholders such as {{deal.name}}, {{deal.stage}} or
+ * {{contact.name}}, filled from the loaded HubSpot record when a template is used.
+ */
+
+import { readStoredValue, writeStoredValue, watchStoredValue } from './extensionStorage';
+
+export const TEMPLATES_KEY = 'saleshub_prompt_templates';
+
+const MAX_TEMPLATE_LENGTH = 2000; // Same limit as the chat composer
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+(?:\.[a-z0-9_]+)+)\s*\}\}/gi;
+
+// Offered in the template editor; any {{object.field}} of the record works
+export const PLACEHOLDER_HINTS = ['deal.name', 'deal.stage', 'contact.name', 'contact.email', 'company.name', 'ticket.subject'];
+
+let cachedTemplates = null;
+const listeners = new Set();
+
+// Trim the fields and drop anything that isn't a usable template
+const normalizeTemplates = (stored) => {
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter(template => template && typeof template.id === 'string' && typeof template.text === 'string')
+    .map(template => ({
+      id: template.id,
+      title: String(template.title || '').trim() || template.text.trim().substring(0, 40),
+      text: template.text.substring(0, MAX_TEMPLATE_LENGTH),
+      category: String(template.category || '').trim(),
+      emoji: String(template.emoji || '').trim() || '📝',
+      updatedAt: template.updatedAt || null,
+    }))
+    .filter(template => template.text.trim());
+};
+
+const handleTemplatesChanged = (newValue) => {
+  cachedTemplates = normalizeTemplates(newValue);
+  listeners.forEach((listener) => listener(cachedTemplates));
+};
+
+const writeStoredTemplates = (templates) => writeStoredValue(TEMPLATES_KEY, templates, handleTemplatesChanged);
+
+watchStoredValue(TEMPLATES_KEY, handleTemplatesChanged);
+
+// Value at a dotted path, if it's something that reads well in a prompt
+const getValue = (sources, path) => {
+  const value = path.split('.').reduce((current, key) => current?.[key], sources);
+  if (typeof value === 'number') return String(value);
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+};
+
+export const promptTemplateService = {
+  getTemplates: async () => {
+    if (!cachedTemplates) {
+      cachedTemplates = normalizeTemplates(await readStoredValue(TEMPLATES_KEY));
+    }
+    return cachedTemplates;
+  },
+
+  /**
+   * Add a template, or update the one with the same `id` in place
+   * @throws {Error} If the title or text is empty
+   */
+  saveTemplate: async ({ id, title, text, category, emoji }) => {
+    if (!title?.trim() || !text?.trim()) {
+      throw new Error('A template needs a title and text');
+    }
+    const templates = await promptTemplateService.getTemplates();
+    const template = {
+      id: id || 'tpl_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      title: title.trim(),
+      text: text.trim(),
+      category: (category || '').trim(),
+      emoji: (emoji || '').trim() || '📝',
+      updatedAt: new Date().toISOString(),
+    };
+    const exists = templates.some(existing => existing.id === template.id);
+    await writeStoredTemplates(exists
+      ? templates.map(existing => existing.id === template.id ? template : existing)
+      : [...templates, template]);
+    return template;
+  },
+
+  deleteTemplate: async (id) => {
+    const templates = await promptTemplateService.getTemplates();
+    await writeStoredTemplates(templates.filter(template => template.id !== id));
+  },
+
+  // Move a template up (-1) or down (+1) in the list
+  moveTemplate: async (id, offset) => {
+    const templates = [...await promptTemplateService.getTemplates()];
+    const index = templates.findIndex(template => template.id === id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= templates.length) return;
+    [templates[index], templates[target]] = [templates[target], templates[index]];
+    await writeStoredTemplates(templates);
+  },
+
+  /**
+   * Bring in templates from a backup: `replace` swaps the whole library,
+   * otherwise templates not already here (by ID) are added at the end
+   */
+  importTemplates: async (templates, { replace = false } = {}) => {
+    const incoming = normalizeTemplates(templates);
+    if (replace) {
+      await writeStoredTemplates(incoming);
+      return;
+    }
+    const current = await promptTemplateService.getTemplates();
+    const currentIds = new Set(current.map(template => template.id));
+    await writeStoredTemplates([...current, ...incoming.filter(template => !currentIds.has(template.id))]);
+  },
+
+  /**
+   * Subscribe to library changes from any extension context
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Placeholder values available from a loaded HubSpot record, as nested objects
+   * ({ deal: {...}, contact: {...} }) - a deal also offers its first contact,
+   * a contact its company name
+   */
+  getRecordValues: (objectType, recordData, recordName) => {
+    if (!objectType || !recordData) return {};
+    const sources = { [objectType]: { ...recordData, name: recordName || recordData.name } };
+    if (objectType === 'deal' && recordData.contacts?.length) {
+      sources.contact = recordData.contacts[0];
+    }
+    if (objectType === 'contact' && typeof recordData.company === 'string') {
+      sources.company = { name: recordData.company };
+    }
+    return sources;
+  },
+
+  /**
+   * Fill a template's placeholders from record values, then from `answers`
+   * (path -> text the user typed in)
+   * @returns {{text: string, missing: string[]}} The text with every known value
+   *   filled in, and the placeholder paths still without one
+   */
+  fillTemplate: (text, sources, answers = {}) => {
+    const missing = new Set();
+    const filled = text.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+      const key = path.toLowerCase();
+      const value = getValue(sources, key) || answers[key]?.trim();
+      if (value) return value;
+      missing.add(key);
+      return placeholder;
+    });
+    return { text: filled, missing: [...missing] };
+  },
+};
+
+export default promptTemplateService;
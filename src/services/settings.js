@@ -0,0 +1,234 @@
+/**
+ * Extension settings shared by the popup, the background service worker and hooks.
+ * Stored in chrome.storage.local so every extension context sees the same values
+ * (falls back to localStorage when running outside the extension, e.g. `vite dev`).
+ */
+
+import { readStoredValue, writeStoredValue, watchStoredValue } from './extensionStorage';
+
+export const SETTINGS_KEY = 'saleshub_settings';
+
+export const DEFAULT_API_BASE_URL = 'http://localhost:5000/api';
+
+// Named backend profiles - staging/prod URLs are filled in from the settings screen
+export const DEFAULT_PROFILES = {
+  local: { name: 'Local', apiBaseUrl: DEFAULT_API_BASE_URL },
+  staging: { name: 'Staging', apiBaseUrl: '' },
+  prod: { name: 'Production', apiBaseUrl: '' },
+};
+
+// User preferences shown on the settings screen
+export const DEFAULT_PREFERENCES = {
+  streamResponses: true, // Render replies token by token via /chat/stream
+  contextTurns: 5, // Prior exchanges (user + assistant) sent with each message
+  contextCharBudget: 4000, // Upper bound on the characters of that history
+  uiSurface: 'popup', // Toolbar icon opens the 'popup' or the 'sidepanel'
+  trashRetentionDays: 30, // Deleted chats stay restorable this long
+  templatePrompts: 'extend', // Prompt templates 'extend' or 'replace' the built-in quick prompts
+};
+
+const DEFAULT_SETTINGS = {
+  activeProfile: 'local',
+  profiles: DEFAULT_PROFILES,
+  preferences: DEFAULT_PREFERENCES,
+};
+
+let cachedSettings = null;
+const listeners = new Set();
+
+// Merge stored values over defaults so new profiles/fields always exist
+const normalizeSettings = (stored) => {
+  const settings = { ...DEFAULT_SETTINGS, ...(stored || {}) };
+  settings.profiles = { ...DEFAULT_PROFILES };
+  for (const [key, profile] of Object.entries(stored?.profiles || {})) {
+    settings.profiles[key] = { ...DEFAULT_PROFILES[key], ...profile };
+  }
+  settings.preferences = { ...DEFAULT_PREFERENCES, ...(stored?.preferences || {}) };
+  if (!settings.profiles[settings.activeProfile]) {
+    settings.activeProfile = DEFAULT_SETTINGS.activeProfile;
+  }
+  return settings;
+};
+
+const handleSettingsChanged = (newValue) => {
+  cachedSettings = normalizeSettings(newValue);
+  listeners.forEach((listener) => listener(cachedSettings));
+};
+
+const writeStoredSettings = (settings) => writeStoredValue(SETTINGS_KEY, settings, handleSettingsChanged);
+
+watchStoredValue(SETTINGS_KEY, handleSettingsChanged);
+
+/**
+ * Normalize a user-entered API base URL (trim, drop trailing slashes)
+ * @returns {string|null} Normalized URL or null if it is not a valid http(s) URL
+ */
+const normalizeApiBaseUrl = (url) => {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url.trim());
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return parsed.href.replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+};
+
+export const settingsService = {
+  getSettings: async () => {
+    if (!cachedSettings) {
+      cachedSettings = normalizeSettings(await readStoredValue(SETTINGS_KEY));
+    }
+    return cachedSettings;
+  },
+
+  getApiBaseUrl: async () => {
+    const settings = await settingsService.getSettings();
+    return settings.profiles[settings.activeProfile].apiBaseUrl || DEFAULT_API_BASE_URL;
+  },
+
+  setActiveProfile: async (profileKey) => {
+    const settings = await settingsService.getSettings();
+    if (!settings.profiles[profileKey]) {
+      throw new Error(`Unknown profile: ${profileKey}`);
+    }
+    await writeStoredSettings({ ...settings, activeProfile: profileKey });
+  },
+
+  saveProfileUrl: async (profileKey, apiBaseUrl) => {
+    const settings = await settingsService.getSettings();
+    const normalized = normalizeApiBaseUrl(apiBaseUrl);
+    if (!normalized) {
+      throw new Error('Enter a valid http(s) URL');
+    }
+    await writeStoredSettings({
+      ...settings,
+      profiles: {
+        ...settings.profiles,
+        [profileKey]: { ...settings.profiles[profileKey], apiBaseUrl: normalized },
+      },
+    });
+  },
+
+  getPreference: async (key) => {
+    const settings = await settingsService.getSettings();
+    return settings.preferences[key];
+  },
+
+  setPreference: async (key, value) => {
+    const settings = await settingsService.getSettings();
+    await writeStoredSettings({
+      ...settings,
+      preferences: { ...settings.preferences, [key]: value },
+    });
+  },
+
+  /**
+   * Take over settings from a backup. Backend URLs are not written here: like URLs
+   * typed in, they need the host permission and a /health check first, so the ones
+   * that differ are returned for the user to confirm with applyProfileUrl(). The
+   * backup's active profile is only switched to once its URL matches.
+   * @returns {Promise<Array<{profileKey, name, apiBaseUrl, activate}>>} URLs to confirm
+   */
+  replaceSettings: async (settings) => {
+    const current = await settingsService.getSettings();
+    const restored = normalizeSettings(settings);
+    const urlsToConfirm = Object.entries(restored.profiles)
+      .map(([profileKey, profile]) => ({
+        profileKey,
+        name: profile.name,
+        apiBaseUrl: normalizeApiBaseUrl(profile.apiBaseUrl) || '',
+        activate: profileKey === restored.activeProfile,
+      }))
+      .filter(({ profileKey, apiBaseUrl }) => apiBaseUrl && apiBaseUrl !== current.profiles[profileKey]?.apiBaseUrl);
+
+    const activeUrlPending = urlsToConfirm.some(url => url.activate) || !current.profiles[restored.activeProfile];
+    await writeStoredSettings({
+      ...restored,
+      profiles: current.profiles,
+      activeProfile: activeUrlPending ? current.activeProfile : restored.activeProfile,
+    });
+    return urlsToConfirm;
+  },
+
+  /**
+   * Save a backend URL after the same checks as the settings screen: the host
+   * permission (so this must run inside a user gesture), then GET /health
+   * @throws {Error} With a message for the user when a check fails
+   */
+  applyProfileUrl: async (profileKey, apiBaseUrl) => {
+    const url = normalizeApiBaseUrl(apiBaseUrl);
+    if (!url) {
+      throw new Error('Enter a valid http(s) URL');
+    }
+    // Permission prompt must happen before any await that leaves the click gesture
+    const granted = await settingsService.requestHostPermission(url);
+    if (!granted) {
+      throw new Error(`Access to ${new URL(url).origin} was not granted`);
+    }
+    const result = await settingsService.validateApiBaseUrl(url);
+    if (!result.ok) {
+      throw new Error(result.error);
+    }
+    await settingsService.saveProfileUrl(profileKey, url);
+  },
+
+  /**
+   * Subscribe to settings changes from any extension context
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Ask Chrome for access to the backend's origin (must run inside a user gesture)
+   * @returns {Promise<boolean>} Whether the permission is granted
+   */
+  requestHostPermission: async (apiBaseUrl) => {
+    if (typeof chrome === 'undefined' || !chrome.permissions) return true;
+    // No await before request() - it resolves true right away if already granted
+    return chrome.permissions.request({ origins: [`${new URL(apiBaseUrl).origin}/*`] });
+  },
+
+  // Where this page is running: the side panel loads index.html?surface=sidepanel
+  getCurrentSurface: () => {
+    return new URLSearchParams(window.location.search).get('surface') === 'sidepanel' ? 'sidepanel' : 'popup';
+  },
+
+  /**
+   * Open the side panel in a window (must run inside a user gesture, so look the
+   * window ID up beforehand)
+   */
+  openSidePanel: async (windowId) => {
+    if (typeof chrome === 'undefined' || !chrome.sidePanel) {
+      throw new Error('Side panel is not supported in this browser');
+    }
+    await chrome.sidePanel.open({ windowId });
+  },
+
+  /**
+   * Check that a backend answers /health before saving it
+   * @returns {Promise<{ok: boolean, error?: string}>}
+   */
+  validateApiBaseUrl: async (apiBaseUrl) => {
+    const normalized = normalizeApiBaseUrl(apiBaseUrl);
+    if (!normalized) {
+      return { ok: false, error: 'Enter a valid http(s) URL' };
+    }
+    try {
+      const response = await fetch(`${normalized}/health`, { signal: AbortSignal.timeout(10000) });
+      if (!response.ok) {
+        return { ok: false, error: `Health check failed (HTTP ${response.status})` };
+      }
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: `Cannot reach ${normalized}/health: ${error.message}` };
+    }
+  },
+
+  normalizeApiBaseUrl,
+};
+
+export default settingsService;
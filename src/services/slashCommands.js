@@ -0,0 +1,163 @@
+// Slash commands typed in the chat composer ("/objection too expensive").
+// Each one expands to the prompt text that is sent and shown, plus `metadata`
+// for the backend (command, intent, tone, ...), sent as `metadata` in the chat payload.
+// Any command takes a `tone:<word>` argument to override its default tone.
+
+const TONE_ARGUMENT = /(?:^|\s)tone:(\S+)/i;
+const FOLLOW_UP_DELAY = /^(\d{1,3})\s*([hdw])$/i;
+const DELAY_UNITS = { h: 'hour', d: 'day', w: 'week' };
+
+const withTopic = (text, topic) => (topic ? `${text} about ${topic}` : text);
+
+export const SLASH_COMMANDS = [
+  {
+    name: 'email',
+    args: '[topic] [tone:friendly]',
+    description: 'Draft a sales email',
+    intent: 'email',
+    tone: 'professional',
+    expand: ({ args, recordName }) => ({
+      text: `${withTopic(`Write a sales email${recordName ? ` to ${recordName}` : ''}`, args)}. Include a subject line.`,
+    }),
+  },
+  {
+    name: 'objection',
+    args: '<what they said>',
+    description: 'Handle an objection',
+    intent: 'objection_handling',
+    tone: 'empathetic',
+    expand: ({ args }) => {
+      if (!args) return { error: 'Add the objection, e.g. /objection it\'s too expensive' };
+      return { text: `A prospect said: "${args}". Help me handle this objection with a short, confident response and a question to move things forward.` };
+    },
+  },
+  {
+    name: 'summarize-deal',
+    args: '',
+    description: 'Summarize the open HubSpot deal',
+    intent: 'deal_summary',
+    tone: 'concise',
+    expand: ({ hubspotRecord, recordName }) => {
+      if (hubspotRecord?.objectType !== 'deal') return { error: 'Open a HubSpot deal to summarize it' };
+      return { text: `Summarize the deal${recordName ? ` "${recordName}"` : ''}: stage, key contacts, recent activity, risks and next steps.` };
+    },
+  },
+  {
+    name: 'followup',
+    args: '<delay like 3d, 1w> [notes]',
+    description: 'Draft a follow-up to send later',
+    intent: 'follow_up',
+    tone: 'friendly',
+    expand: ({ args, recordName }) => {
+      const [delay = '', ...notes] = args.split(/\s+/);
+      const match = delay.match(FOLLOW_UP_DELAY);
+      if (!match) return { error: 'Give a delay like 4h, 3d or 1w, e.g. /followup 3d' };
+
+      const amount = Number(match[1]);
+      const unit = DELAY_UNITS[match[2].toLowerCase()];
+      const when = `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+      return {
+        text: `${withTopic(`Draft a follow-up message${recordName ? ` to ${recordName}` : ''} to send in ${when}`, notes.join(' '))}.`,
+        metadata: { follow_up_in: delay.toLowerCase() },
+      };
+    },
+  },
+  {
+    name: 'template',
+    args: '<template name>',
+    description: 'Use one of your prompt templates',
+    intent: 'template',
+    expand: ({ args, templates }) => {
+      const query = args.toLowerCase();
+      const template = templates.find(item => item.title.toLowerCase() === query)
+        || templates.find(item => item.title.toLowerCase().startsWith(query));
+      if (!query || !template) return { error: 'No template by that name - pick one from the list' };
+      return { template };
+    },
+  },
+];
+
+const findCommand = (name) => SLASH_COMMANDS.find(command => command.name === name.toLowerCase());
+
+// "/followup 3d call notes" -> { name: 'followup', args: '3d call notes' }
+const parseInput = (input) => {
+  const match = input.match(/^\/(\S*)(?:\s+([\s\S]*))?$/);
+  return match ? { name: match[1], args: (match[2] || '').trim(), hasArgs: match[2] !== undefined } : null;
+};
+
+export const slashCommandService = {
+  /**
+   * Autocomplete entries for what's typed so far: command names while the name is
+   * being typed, template titles after "/template "
+   * @returns {Array<{key, label, hint, description, value, template?}>} `value` replaces the input
+   */
+  getSuggestions: (input, templates = []) => {
+    const parsed = parseInput(input);
+    if (!parsed) return [];
+
+    if (!parsed.hasArgs) {
+      const typed = parsed.name.toLowerCase();
+      return SLASH_COMMANDS
+        .filter(command => command.name.startsWith(typed))
+        .map(command => ({
+          key: command.name,
+          label: `/${command.name}`,
+          hint: command.args,
+          description: command.description,
+          value: `/${command.name} `,
+        }));
+    }
+
+    if (parsed.name.toLowerCase() === 'template') {
+      const typed = parsed.args.toLowerCase();
+      return templates
+        .filter(template => template.title.toLowerCase().includes(typed))
+        .map(template => ({
+          key: template.id,
+          label: `${template.emoji} ${template.title}`,
+          hint: '',
+          description: template.category,
+          value: `/template ${template.title}`,
+          template,
+        }));
+    }
+    return [];
+  },
+
+  // Argument hint for a command whose name is complete, e.g. "/followup <delay like 3d, 1w> [notes]"
+  getArgumentHint: (input) => {
+    const parsed = parseInput(input);
+    const command = parsed?.hasArgs && findCommand(parsed.name);
+    return command && command.args ? `/${command.name} ${command.args}` : null;
+  },
+
+  /**
+   * Expand a composer input that starts with a known command
+   * @param {Object} context - { hubspotRecord, recordName, templates }
+   * @returns {{text: string, metadata: Object}|{template: Object}|{error: string}|null}
+   *   null when the input isn't a command, so it's sent as typed
+   */
+  expand: (input, { hubspotRecord = null, recordName = null, templates = [] } = {}) => {
+    const parsed = parseInput(input.trim());
+    const command = parsed && findCommand(parsed.name);
+    if (!command) return null;
+
+    const toneMatch = parsed.args.match(TONE_ARGUMENT);
+    const args = parsed.args.replace(TONE_ARGUMENT, ' ').trim();
+    const result = command.expand({ args, hubspotRecord, recordName, templates });
+    if (result.error || result.template) return result;
+
+    return {
+      text: result.text,
+      metadata: {
+        command: command.name,
+        intent: command.intent,
+        tone: toneMatch ? toneMatch[1].toLowerCase() : command.tone,
+        ...(args && { arguments: args }),
+        ...result.metadata,
+      },
+    };
+  },
+};
+
+export default slashCommandService;